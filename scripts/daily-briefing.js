@@ -1,15 +1,55 @@
-import { LinearClient } from "@linear/sdk";
 import Anthropic from "@anthropic-ai/sdk";
-import { writeFileSync, readFileSync, existsSync } from "fs";
+import { writeFileSync, readFileSync, existsSync, mkdirSync } from "fs";
 import { createHash } from "crypto";
+import { DEFAULT_MAX_ITEMS, fetchActiveIssues, fetchIssues, fetchViewer } from "../worker/src/linear.js";
+import {
+  buildSnapshot,
+  diffSnapshots,
+  diffSection,
+  isMinorDiff,
+  renderDiff,
+} from "../worker/src/snapshot.js";
+import {
+  staleThresholds,
+  findStaleIssues,
+  renderStaleSection,
+  staleSection,
+  wakeUpHeader,
+} from "../worker/src/staleness.js";
+import { buildFallbackBriefing } from "../worker/src/fallback.js";
+import {
+  BRIEFING_TOOL,
+  buildBriefingPrompt,
+  normalizeBriefing,
+  assembleBriefing,
+  isBriefingDoc,
+  renderPlainText,
+  renderMarkdown,
+} from "../worker/src/report.js";
+import { localDate, timezoneOf } from "../worker/src/time.js";
+import { defaultSchedule, isDue } from "../worker/src/schedule.js";
+import { mergeSettings } from "../worker/src/settings.js";
+import { teamKeysOf } from "../worker/src/teams.js";
+import { buildMetrics } from "../worker/src/metrics.js";
 
 // ─── Config ───────────────────────────────────────────────────────
 const LINEAR_API_KEY = process.env.LINEAR_API_KEY;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const TEAM_KEY = process.env.LINEAR_TEAM_KEY || "YAK"; // Your Linear team key
+const TEAM_KEYS = teamKeysOf(process.env); // LINEAR_TEAM_KEYS ("YAK,ACME") or LINEAR_TEAM_KEY
 const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || "claude-opus-4-6";
 const CACHE_PATH = "briefing/cache.json";
-const STALE_DAYS_THRESHOLD = 3; // After this many unchanged days, send the "lock in" message
+const SETTINGS_PATH = "briefing/settings.json"; // optional; same fields as the Worker's /settings
+const SNAPSHOT_PATH = "briefing/snapshot.json"; // committed, so diffs survive fresh CI checkouts
+const METRICS_DIR = "briefing/metrics"; // one <date>.json per run day, committed so history accrues
+const DIFF_ONLY_MAX_CHANGES = Number(process.env.DIFF_ONLY_MAX_CHANGES) || 3; // small diffs skip the full regeneration
+const STALE_THRESHOLDS = staleThresholds(process.env); // STALE_OVERDUE_DAYS, STALE_IDLE_DAYS, STALE_ROT_WEEKS, STALE_DAYS_THRESHOLD
+const ANTHROPIC_TIMEOUT_MS = Number(process.env.ANTHROPIC_TIMEOUT_MS) || 60000; // per attempt; fall back to the rule-based briefing once retries run out
+const ANTHROPIC_RETRIES = 2; // on top of the first attempt
+const TIMEZONE = timezoneOf(process.env); // IANA timezone for "today" and the prompt
+const SCHEDULE = defaultSchedule(process.env); // BRIEFING_TIME, BRIEFING_DAYS, TIMEZONE
+const SCHEDULE_WINDOW_MINUTES = 180; // Actions cron runs hourly and is often late
+const FORCE_BRIEFING = process.env.FORCE_BRIEFING === "true"; // manual runs skip the schedule check
+const MAX_ITEMS = Number(process.env.LINEAR_MAX_ITEMS) || DEFAULT_MAX_ITEMS; // Ceiling for paginated issue fetches
 
 if (!LINEAR_API_KEY || !ANTHROPIC_API_KEY) {
   console.error("Missing LINEAR_API_KEY or ANTHROPIC_API_KEY");
@@ -32,188 +72,281 @@ function writeCache(data) {
   writeFileSync(CACHE_PATH, JSON.stringify(data, null, 2));
 }
 
+function readSnapshot() {
+  try {
+    if (existsSync(SNAPSHOT_PATH)) {
+      return JSON.parse(readFileSync(SNAPSHOT_PATH, "utf-8"));
+    }
+  } catch {
+    console.log("Snapshot file unreadable, skipping the diff.");
+  }
+  return null;
+}
+
+function writeSnapshot(snapshot) {
+  writeFileSync(SNAPSHOT_PATH, JSON.stringify(snapshot, null, 2));
+}
+
+/**
+ * The day's metrics snapshot (same shape as the Worker's, see metrics.js).
+ * A rerun on the same day replaces it.
+ */
+function writeMetrics(metrics) {
+  mkdirSync(METRICS_DIR, { recursive: true });
+  writeFileSync(`${METRICS_DIR}/${metrics.date}.json`, JSON.stringify(metrics, null, 2));
+}
+
+/**
+ * Owner, tone and section layout — briefing/settings.json on top of the
+ * defaults. A broken file is an error rather than a silent fallback, so a
+ * typo doesn't quietly brief the wrong person.
+ */
+function readSettings() {
+  if (!existsSync(SETTINGS_PATH)) return mergeSettings(null);
+  return mergeSettings(JSON.parse(readFileSync(SETTINGS_PATH, "utf-8")));
+}
+
+/**
+ * Write one briefing document in every format: plain text for the iMessage
+ * Shortcut, Markdown for the archive, and the raw JSON alongside it.
+ * Returns the plain text.
+ */
+function writeBriefing(doc, today) {
+  const text = renderPlainText(doc);
+  writeFileSync("briefing/latest.txt", text);
+  writeFileSync(`briefing/archive/${today}.md`, renderMarkdown(doc));
+  writeFileSync(`briefing/archive/${today}.json`, JSON.stringify(doc, null, 2));
+  return text;
+}
+
 /**
  * Build a deterministic fingerprint of the current issue state.
  * Captures each issue's identifier, status, priority, assignee, project,
- * labels, and due date — so any movement triggers a fresh briefing.
+ * labels, and due date — so any movement triggers a fresh briefing. The
+ * settings are included too, so a new tone or layout regenerates it.
  */
-function hashIssues(issues) {
+function hashIssues(issues, settings) {
   const normalized = issues
     .map((i) => ({
       id: i.identifier,
-      status: i.status,
+      status: i.state?.name,
       priority: i.priority,
-      assignee: i.assignee,
-      project: i.project,
-      labels: [...i.labels].sort(),
+      assignee: i.assignee?.name,
+      project: i.project?.name,
+      labels: (i.labels?.nodes?.map((l) => l.name) || []).sort(),
       dueDate: i.dueDate,
     }))
     .sort((a, b) => a.id.localeCompare(b.id));
 
-  return createHash("sha256").update(JSON.stringify(normalized)).digest("hex");
+  return createHash("sha256").update(JSON.stringify({ issues: normalized, settings })).digest("hex");
 }
 
 // ─── Fetch Active Linear Issues ───────────────────────────────────
+// Same GraphQL layer as the Worker: one paginated query with nested fields
 async function fetchLinearIssues() {
-  console.log(`Initializing Linear client (team: ${TEAM_KEY})...`);
+  console.log(`Fetching from Linear (teams: ${TEAM_KEYS.join(", ")})...`);
   console.log(`API key present: ${!!LINEAR_API_KEY} (length: ${LINEAR_API_KEY.length})`);
 
-  const linear = new LinearClient({ apiKey: LINEAR_API_KEY });
-
   // Quick connectivity check — fetch the authenticated user
   try {
-    const viewer = await linear.viewer;
-    console.log(`Connected to Linear as: ${viewer.name} (${viewer.email})`);
+    const viewer = await fetchViewer(LINEAR_API_KEY);
+    console.log(`Connected to Linear as: ${viewer.name}`);
   } catch (err) {
     console.error("Failed to authenticate with Linear:", err.message);
     throw err;
   }
 
-  // Fetch only active issues (backlog, unstarted, started) — skip completed/canceled at the API level
-  console.log(`Fetching active issues for team "${TEAM_KEY}"...`);
-  let issues;
+  // Only active issues (backlog, unstarted, started) — completed/canceled are skipped at the API level
+  console.log(`Fetching active issues for ${TEAM_KEYS.join(", ")}...`);
   try {
-    issues = await linear.issues({
-      first: 100,
-      filter: {
-        team: { key: { eq: TEAM_KEY } },
-        state: { type: { in: ["backlog", "unstarted", "started"] } },
-      },
-    });
-    console.log(`Linear returned ${issues.nodes.length} active issues.`);
+    const issues = await fetchActiveIssues(LINEAR_API_KEY, TEAM_KEYS, { maxItems: MAX_ITEMS });
+    console.log(`Linear returned ${issues.length} active issues.`);
+    return issues;
   } catch (err) {
     console.error("Failed to fetch issues from Linear:", err.message);
     throw err;
   }
+}
 
-  const enrichedIssues = [];
-
-  for (const issue of issues.nodes) {
-    const state = await issue.state;
-    const stateName = state?.name || "Unknown";
-
-    const project = await issue.project;
-    const assignee = await issue.assignee;
-    const labels = await issue.labels();
-
-    enrichedIssues.push({
-      identifier: issue.identifier,
-      title: issue.title,
-      description: issue.description?.substring(0, 200) || "",
-      priority: issue.priority,
-      priorityLabel: issue.priorityLabel,
-      dueDate: issue.dueDate,
-      status: stateName,
-      project: project?.name || "No Project",
-      assignee: assignee?.name || "Unassigned",
-      labels: labels.nodes.map((l) => l.name),
-      url: issue.url,
-      createdAt: issue.createdAt,
-      updatedAt: issue.updatedAt,
-    });
+/**
+ * Issues that left the active set since the last snapshot — look up where
+ * they went (completed, canceled, ...) so the diff can say so.
+ */
+async function lookupDeparted(previous, snapshot) {
+  const ids = Object.keys(previous || {}).filter((id) => !snapshot[id]);
+  if (ids.length === 0) return {};
+  try {
+    const issues = await fetchIssues(LINEAR_API_KEY, { id: { in: ids } });
+    return Object.fromEntries(
+      issues.map((i) => [i.id, { status: i.state?.name, stateType: i.state?.type }])
+    );
+  } catch (err) {
+    console.error("Couldn't look up departed issues:", err.message);
+    return {};
   }
-
-  console.log(`Enriched ${enrichedIssues.length} active issues.`);
-  return enrichedIssues;
 }
 
 // ─── Generate Briefing via Claude ─────────────────────────────────
-async function generateBriefing(issues) {
-  const anthropic = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
-
-  const today = new Date();
-  const dayName = today.toLocaleDateString("en-US", { weekday: "long" });
-  const dateStr = today.toLocaleDateString("en-US", {
-    month: "long",
-    day: "numeric",
-    year: "numeric",
+async function generateBriefing(issues, { settings, sinceText, staleText, now, timezone }) {
+  // The SDK retries 408/429/5xx with backoff and honors Retry-After; the
+  // timeout is per attempt, same as the Worker
+  const anthropic = new Anthropic({
+    apiKey: ANTHROPIC_API_KEY,
+    timeout: ANTHROPIC_TIMEOUT_MS,
+    maxRetries: ANTHROPIC_RETRIES,
   });
 
-  const issuesSummary = issues
-    .map(
-      (i) =>
-        `- ${i.identifier}: "${i.title}" | Project: ${i.project} | Status: ${i.status} | Priority: ${i.priorityLabel} | Assignee: ${i.assignee} | Due: ${i.dueDate || "No due date"} | Labels: ${i.labels.join(", ") || "none"} | Desc: ${i.description}`
-    )
-    .join("\n");
-
-  const prompt = `You are a sharp, no-nonsense executive assistant for Zach Ellis who runs Yak Dev, a software development agency. Today is ${dayName}, ${dateStr}.
-
-Here are all active issues from Linear:
-
-${issuesSummary}
-
-Generate a concise daily briefing for Zach. The format should be:
-
-1. **TOP PRIORITY** — What must get done today. If something is overdue or due today, call it out hard.
-2. **THIS WEEK** — What needs progress this week, organized by project.
-3. **BLOCKED / WAITING** — Anything that's stuck and needs Zach to unblock it.
-4. **LOW PRIORITY** — Things that exist but aren't urgent. Just a quick reminder they're there.
-
-Keep it punchy and actionable. No fluff. Use plain text (this will be sent via iMessage so no markdown). Use line breaks and simple dashes for structure. Keep the whole thing under 1500 characters so it's readable on a phone screen.`;
+  const prompt = buildBriefingPrompt({ issues, settings, sinceText, staleText, now, timezone });
 
   console.log(`Using model: ${ANTHROPIC_MODEL}`);
   const message = await anthropic.messages.create({
     model: ANTHROPIC_MODEL,
-    max_tokens: 1024,
+    max_tokens: 2048,
+    tools: [BRIEFING_TOOL],
+    tool_choice: { type: "tool", name: BRIEFING_TOOL.name },
     messages: [{ role: "user", content: prompt }],
   });
 
-  return message.content[0].text;
+  const submitted = message.content.find((b) => b.type === "tool_use");
+  if (!submitted) throw new Error("Anthropic response had no submit_briefing call");
+  return normalizeBriefing(submitted.input, issues, { now, timezone, sections: settings.sections });
 }
 
 // ─── Main ─────────────────────────────────────────────────────────
 async function main() {
-  const today = new Date().toISOString().split("T")[0];
+  const now = new Date();
+  const today = localDate(now, TIMEZONE);
+  const when = { now, timezone: TIMEZONE };
+
+  // The workflow runs hourly; only the run that lands in the briefing window
+  // does anything. Today's archive file means it already went out.
+  const sentToday = existsSync(`briefing/archive/${today}.md`);
+  const schedule = { ...SCHEDULE, lastBriefingDate: sentToday ? today : null };
+  if (!FORCE_BRIEFING && !isDue(schedule, now, SCHEDULE_WINDOW_MINUTES)) {
+    console.log(`Not briefing time (${SCHEDULE.time} ${SCHEDULE.timezone}, sent today: ${sentToday}). Skipping.`);
+    return;
+  }
 
   console.log("Fetching Linear issues...");
   const issues = await fetchLinearIssues();
   console.log(`Found ${issues.length} active issues.`);
+  writeMetrics(buildMetrics(issues, today));
 
   if (issues.length === 0) {
-    const briefing = "No active issues in Linear. Either you're crushing it or something is wrong.";
-    writeFileSync("briefing/latest.txt", briefing);
-    writeFileSync(`briefing/archive/${today}.txt`, briefing);
+    const briefing = assembleBriefing(
+      {
+        banners: ["No active issues in Linear. Either you're crushing it or something is wrong."],
+        sections: [],
+        actions: [],
+      },
+      when
+    );
+    writeBriefing(briefing, today);
     writeCache({ hash: null, briefing, unchangedDays: 0, lastRun: today });
     console.log("No issues found. Briefing saved.");
     return;
   }
 
+  // Surfaced on top of whatever we write so a capped fetch never goes unnoticed
+  const warning = issues.truncated
+    ? `Heads up: only the first ${issues.length} issues were loaded (LINEAR_MAX_ITEMS). This briefing may be missing work.`
+    : "";
+
+  const stale = findStaleIssues(issues, STALE_THRESHOLDS, now, TIMEZONE);
+  const staleText = renderStaleSection(stale);
+  const after = [staleSection(stale)];
+
   // ─── Cache check ──────────────────────────────────────────────
-  const currentHash = hashIssues(issues);
+  const settings = readSettings();
+  const currentHash = hashIssues(issues, settings);
+  const snapshot = buildSnapshot(issues);
   const cache = readCache();
+  // Caches from before the structured format hold plain text, and after a
+  // diff-only day the body is behind the board — regenerate either way
+  const cachedDoc = isBriefingDoc(cache?.briefing) && !cache.diffOnly ? cache.briefing : null;
 
-  if (cache && cache.hash === currentHash) {
+  if (cachedDoc && cache.hash === currentHash) {
     const unchangedDays = (cache.unchangedDays || 0) + 1;
     console.log(`Tasks unchanged for ${unchangedDays} day(s). Skipping Anthropic call.`);
 
-    let briefing;
-    if (unchangedDays >= STALE_DAYS_THRESHOLD) {
-      briefing = "SNAP OUT OF IT, LOCK IN!";
-      console.log(`Stale for ${unchangedDays} days — sending the wake-up call.`);
-    } else {
-      briefing = cache.briefing;
-      console.log("Reusing cached briefing.");
+    let header = "";
+    if (unchangedDays >= STALE_THRESHOLDS.wakeUpDays) {
+      header = wakeUpHeader(unchangedDays);
+      console.log(`Stale for ${unchangedDays} days — adding the wake-up call.`);
     }
+    console.log("Reusing cached briefing.");
 
-    writeFileSync("briefing/latest.txt", briefing);
-    writeFileSync(`briefing/archive/${today}.txt`, briefing);
-    writeCache({ hash: currentHash, briefing: cache.briefing, unchangedDays, lastRun: today });
+    const text = writeBriefing(
+      assembleBriefing(cachedDoc, { ...when, issues, teamKeys: TEAM_KEYS, banners: [warning, header], after }),
+      today
+    );
+    writeCache({ hash: currentHash, briefing: cachedDoc, unchangedDays, lastRun: today });
+    writeSnapshot(snapshot);
 
     console.log("Briefing saved (cached):");
-    console.log(briefing);
+    console.log(text);
+    return;
+  }
+
+  // ─── Diff against the last snapshot ───────────────────────────
+  const previous = readSnapshot();
+  const departed = await lookupDeparted(previous, snapshot);
+  const diff = diffSnapshots(previous, snapshot, departed);
+  const sinceText = renderDiff(diff);
+  const since = diffSection(diff);
+
+  if (cachedDoc && isMinorDiff(diff, DIFF_ONLY_MAX_CHANGES)) {
+    console.log("Minor changes only. Writing the diff without calling Anthropic.");
+    const diffOnly = {
+      sections: [{ ...since, notes: ["Everything else is as in your last briefing."] }],
+      actions: [],
+    };
+    const text = writeBriefing(
+      assembleBriefing(diffOnly, { ...when, issues, teamKeys: TEAM_KEYS, banners: [warning], after }),
+      today
+    );
+    // Marked so the next run doesn't reuse it as current
+    writeCache({ hash: currentHash, briefing: cachedDoc, unchangedDays: 0, lastRun: today, diffOnly: true });
+    writeSnapshot(snapshot);
+
+    console.log(text);
     return;
   }
 
   // ─── Tasks changed (or first run) — generate fresh briefing ───
   console.log(cache ? "Tasks changed since last run. Generating fresh briefing..." : "No cache found. Generating first briefing...");
-  const briefing = await generateBriefing(issues);
+  let briefing;
+  try {
+    briefing = await generateBriefing(issues, { settings, sinceText, staleText, ...when });
+  } catch (err) {
+    // Still ship something useful. No cache, so tomorrow retries Claude, and
+    // no new snapshot, so its diff still runs from the last real briefing
+    console.error("Anthropic call failed, writing fallback briefing:", err.message);
+    const text = writeBriefing(
+      assembleBriefing(buildFallbackBriefing(issues, now, TIMEZONE, settings.sections), {
+        ...when,
+        issues,
+        teamKeys: TEAM_KEYS,
+        banners: [warning],
+        before: [since],
+        after,
+      }),
+      today
+    );
+
+    console.log(text);
+    return;
+  }
 
-  writeFileSync("briefing/latest.txt", briefing);
-  writeFileSync(`briefing/archive/${today}.txt`, briefing);
+  const text = writeBriefing(
+    assembleBriefing(briefing, { ...when, issues, teamKeys: TEAM_KEYS, banners: [warning], before: [since], after }),
+    today
+  );
   writeCache({ hash: currentHash, briefing, unchangedDays: 0, lastRun: today });
+  writeSnapshot(snapshot);
 
   console.log("Briefing generated and saved:");
-  console.log(briefing);
+  console.log(text);
 }
 
 main().catch((err) => {
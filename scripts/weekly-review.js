@@ -0,0 +1,136 @@
+import Anthropic from "@anthropic-ai/sdk";
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync } from "fs";
+import { DEFAULT_MAX_ITEMS } from "../worker/src/linear.js";
+import {
+  REVIEW_TOOL,
+  reviewWeek,
+  fetchWeekActivity,
+  computeReviewStats,
+  buildReviewPrompt,
+  normalizeReview,
+  buildReviewDoc,
+} from "../worker/src/review.js";
+import { renderPlainText, renderMarkdown } from "../worker/src/report.js";
+import { timezoneOf } from "../worker/src/time.js";
+import { defaultSchedule, isReviewDue, describeReview } from "../worker/src/schedule.js";
+import { mergeSettings } from "../worker/src/settings.js";
+import { teamKeysOf } from "../worker/src/teams.js";
+
+// ─── Config ───────────────────────────────────────────────────────
+const LINEAR_API_KEY = process.env.LINEAR_API_KEY;
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+const TEAM_KEYS = teamKeysOf(process.env); // LINEAR_TEAM_KEYS ("YAK,ACME") or LINEAR_TEAM_KEY
+const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || "claude-opus-4-6";
+const REVIEWS_DIR = "briefing/reviews"; // <date>.md + <date>.json (raw stats), committed
+const SETTINGS_PATH = "briefing/settings.json"; // optional; same fields as the Worker's /settings
+const ANTHROPIC_TIMEOUT_MS = Number(process.env.ANTHROPIC_TIMEOUT_MS) || 60000; // per attempt
+const ANTHROPIC_RETRIES = 2; // on top of the first attempt
+const TIMEZONE = timezoneOf(process.env); // IANA timezone for the week's boundaries
+const SCHEDULE = defaultSchedule(process.env); // REVIEW_DAY, REVIEW_TIME, TIMEZONE
+const SCHEDULE_WINDOW_MINUTES = 180; // Actions cron runs hourly and is often late
+const FORCE_REVIEW = process.env.FORCE_REVIEW === "true"; // manual runs skip the schedule check
+const MAX_ITEMS = Number(process.env.LINEAR_MAX_ITEMS) || DEFAULT_MAX_ITEMS; // Ceiling for paginated issue fetches
+
+if (!LINEAR_API_KEY || !ANTHROPIC_API_KEY) {
+  console.error("Missing LINEAR_API_KEY or ANTHROPIC_API_KEY");
+  process.exit(1);
+}
+
+// ─── File Helpers ─────────────────────────────────────────────────
+
+/**
+ * Stats from the most recent review before `date`, for week-over-week
+ * comparisons. Null if there's none.
+ */
+function readPreviousStats(date) {
+  if (!existsSync(REVIEWS_DIR)) return null;
+  const [latest] = readdirSync(REVIEWS_DIR)
+    .filter((name) => /^\d{4}-\d{2}-\d{2}\.json$/.test(name) && name < `${date}.json`)
+    .sort()
+    .reverse();
+  if (!latest) return null;
+  try {
+    return JSON.parse(readFileSync(`${REVIEWS_DIR}/${latest}`, "utf-8")).stats;
+  } catch {
+    console.log(`${latest} unreadable, skipping week-over-week.`);
+    return null;
+  }
+}
+
+function readSettings() {
+  if (!existsSync(SETTINGS_PATH)) return mergeSettings(null);
+  return mergeSettings(JSON.parse(readFileSync(SETTINGS_PATH, "utf-8")));
+}
+
+/**
+ * Write the review as Markdown with the raw stats (and Claude's part) as
+ * JSON beside it. Returns the plain text.
+ */
+function writeReview(doc, stats, review, date) {
+  mkdirSync(REVIEWS_DIR, { recursive: true });
+  writeFileSync(`${REVIEWS_DIR}/${date}.md`, renderMarkdown(doc));
+  writeFileSync(`${REVIEWS_DIR}/${date}.json`, JSON.stringify({ date, stats, review }, null, 2));
+  return renderPlainText(doc);
+}
+
+// ─── Generate Review via Claude ───────────────────────────────────
+async function generateReview({ stats, activity, settings, previous, now, timezone }) {
+  const anthropic = new Anthropic({
+    apiKey: ANTHROPIC_API_KEY,
+    timeout: ANTHROPIC_TIMEOUT_MS,
+    maxRetries: ANTHROPIC_RETRIES,
+  });
+
+  const prompt = buildReviewPrompt({ stats, activity, settings, previous, now, timezone });
+
+  console.log(`Using model: ${ANTHROPIC_MODEL}`);
+  const message = await anthropic.messages.create({
+    model: ANTHROPIC_MODEL,
+    max_tokens: 1024,
+    tools: [REVIEW_TOOL],
+    tool_choice: { type: "tool", name: REVIEW_TOOL.name },
+    messages: [{ role: "user", content: prompt }],
+  });
+
+  const submitted = message.content.find((b) => b.type === "tool_use");
+  if (!submitted) throw new Error("Anthropic response had no submit_review call");
+  return normalizeReview(submitted.input);
+}
+
+// ─── Main ─────────────────────────────────────────────────────────
+async function main() {
+  const now = new Date();
+  const week = reviewWeek(now, TIMEZONE);
+
+  // Runs hourly alongside the briefing; only the run in the review window
+  // does anything. This week's file means it already went out.
+  const sentToday = existsSync(`${REVIEWS_DIR}/${week.end}.json`);
+  const schedule = { ...SCHEDULE, lastReviewDate: sentToday ? week.end : null };
+  if (!FORCE_REVIEW && !isReviewDue(schedule, now, SCHEDULE_WINDOW_MINUTES)) {
+    console.log(`Not review time (${describeReview(SCHEDULE)} Written today: ${sentToday}). Skipping.`);
+    return;
+  }
+
+  console.log(`Fetching the week ${week.start} to ${week.end} from Linear (teams: ${TEAM_KEYS.join(", ")})...`);
+  const activity = await fetchWeekActivity(LINEAR_API_KEY, TEAM_KEYS, week, { maxItems: MAX_ITEMS });
+  const stats = computeReviewStats(activity, week);
+  const previous = readPreviousStats(week.end);
+  console.log(`Completed ${stats.completed}, created ${stats.created}, canceled ${stats.canceled}.`);
+
+  let review = null;
+  try {
+    review = await generateReview({ stats, activity, settings: readSettings(), previous, now, timezone: TIMEZONE });
+  } catch (err) {
+    // The numbers are still worth keeping
+    console.error("Anthropic call failed, writing the numbers only:", err.message);
+  }
+
+  const text = writeReview(buildReviewDoc(stats, review, { activity, previous }), stats, review, week.end);
+  console.log("Weekly review saved:");
+  console.log(text);
+}
+
+main().catch((err) => {
+  console.error("Failed to generate weekly review:", err);
+  process.exit(1);
+});
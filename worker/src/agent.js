@@ -1,9 +1,21 @@
 // ─── Claude Agent with Tool Use ───────────────────────────────────
 
 import { TOOL_DEFINITIONS, executeTool } from "./tools.js";
+import {
+  assessRisk,
+  isReadOnly,
+  describeCall,
+  parkCalls,
+  confirmationKeyboard,
+} from "./confirmations.js";
+import { sendMessage } from "./telegram.js";
+import { requestJson } from "./http.js";
+import { DEFAULT_TIMEZONE, formatDate, localDate } from "./time.js";
+import { DEFAULT_SETTINGS, firstName } from "./settings.js";
+import { statesOfTeam } from "./teams.js";
 
 const ANTHROPIC_API = "https://api.anthropic.com/v1/messages";
-const HISTORY_KEY = "conversation_history";
+const ANTHROPIC_TIMEOUT_MS = 60000; // per attempt; retried on 429/5xx
 const MAX_HISTORY_PAIRS = 20; // keep last 20 exchanges (40 messages)
 
 // ─── Public API ───────────────────────────────────────────────────
@@ -14,10 +26,11 @@ const MAX_HISTORY_PAIRS = 20; // keep last 20 exchanges (40 messages)
  *
  * @param {string}  userMessage - The raw text from Telegram
  * @param {object}  env         - Worker env (secrets, KV, vars)
- * @param {object}  ctx         - Linear context: { apiKey, teamId, teamKey, issues, states, labels, projects, members }
+ * @param {object}  ctx         - Linear context: { apiKey, kv, chatId, messageId, timezone, settings, user, reminders, viewer, author, teams, teamId, teamKey, issues, states, labels, projects, members }
+ * @param {object}  store       - The chat session's history store: { load, save, clear }
  */
-export async function runAgent(userMessage, env, ctx) {
-  const history = await getHistory(env);
+export async function runAgent(userMessage, env, ctx, store) {
+  const history = await store.load();
   const system = buildSystemPrompt(ctx);
 
   // Build message array: history + new user message
@@ -29,22 +42,57 @@ export async function runAgent(userMessage, env, ctx) {
   // Tool-use loop — keep going until Claude gives a final text response
   let iterations = 0;
   const MAX_ITERATIONS = 10;
+  // Risk is judged over the whole user turn, not each response, so a
+  // bulk change can't slip through a few issues at a time
+  const touched = new Set();
+  let parked = false;
 
   while (response.stop_reason === "tool_use" && iterations < MAX_ITERATIONS) {
     iterations++;
 
     // Collect all tool calls from this response
+    const calls = response.content.filter((b) => b.type === "tool_use");
+    const risks = parked ? [] : assessRisk(calls, ctx, Number(env.CONFIRM_THRESHOLD) || undefined, touched);
+
     const toolResults = [];
-    for (const block of response.content) {
-      if (block.type === "tool_use") {
-        console.log(`Tool call: ${block.name}(${JSON.stringify(block.input)})`);
-        const result = await executeTool(block.name, block.input, ctx);
-        console.log(`Tool result: ${JSON.stringify(result)}`);
-        toolResults.push({
-          type: "tool_result",
-          tool_use_id: block.id,
-          content: JSON.stringify(result),
-        });
+    if (parked) {
+      // Something is already waiting on a tap — no more changes this turn
+      for (const block of calls) {
+        toolResults.push(
+          isReadOnly(block)
+            ? await runTool(block, ctx)
+            : {
+                type: "tool_result",
+                tool_use_id: block.id,
+                content: JSON.stringify({
+                  error: "Not run: earlier changes are waiting for approval. Don't make more changes this turn — say what's pending.",
+                }),
+              }
+        );
+      }
+    } else if (risks.length > 0) {
+      // Risky turn — park the changes and let the owner approve them from
+      // Telegram; lookups still run so Claude can answer around them
+      const held = calls.filter((block) => !isReadOnly(block));
+      await requestConfirmation(held, risks, env, ctx);
+      parked = true;
+      for (const block of calls) {
+        toolResults.push(
+          held.includes(block)
+            ? {
+                type: "tool_result",
+                tool_use_id: block.id,
+                content: JSON.stringify({
+                  pending_confirmation: true,
+                  note: "Held for approval. Approve/Cancel buttons were sent to the chat. Don't retry — just say it's waiting on their tap.",
+                }),
+              }
+            : await runTool(block, ctx)
+        );
+      }
+    } else {
+      for (const block of calls) {
+        toolResults.push(await runTool(block, ctx));
       }
     }
 
@@ -62,95 +110,135 @@ export async function runAgent(userMessage, env, ctx) {
     .join("\n") || "Done — but I couldn't generate a response. Something might be off.";
 
   // Persist only the human-readable parts of the conversation (not tool guts)
-  await saveHistory(env, history, userMessage, assistantText);
+  await saveHistory(store, history, userMessage, assistantText);
 
   return assistantText;
 }
 
+// Execute one tool_use block and wrap the result for Claude
+async function runTool(block, ctx) {
+  console.log(`Tool call: ${block.name}(${JSON.stringify(block.input)})`);
+  const result = await executeTool(block.name, block.input, ctx);
+  console.log(`Tool result: ${JSON.stringify(result)}`);
+  return {
+    type: "tool_result",
+    tool_use_id: block.id,
+    content: JSON.stringify(result),
+  };
+}
+
+// ─── Confirmation ─────────────────────────────────────────────────
+
+async function requestConfirmation(calls, risks, env, ctx) {
+  const pendingId = await parkCalls(env.KV, calls, ctx);
+  console.log(`Parked ${calls.length} tool call(s) as ${pendingId}: ${risks.join("; ")}`);
+
+  const text = [
+    `Needs your OK — this ${risks.join(", and ")}:`,
+    ...calls.map((c) => `- ${describeCall(c)}`),
+  ].join("\n");
+
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, ctx.chatId, text, {
+    replyMarkup: confirmationKeyboard(pendingId),
+  });
+}
+
 // ─── System Prompt ────────────────────────────────────────────────
 
 function buildSystemPrompt(ctx) {
-  const today = new Date();
-  const dayName = today.toLocaleDateString("en-US", { weekday: "long" });
-  const dateStr = today.toLocaleDateString("en-US", {
+  const now = new Date();
+  const timezone = ctx.timezone || DEFAULT_TIMEZONE;
+  const dayName = formatDate(now, timezone, { weekday: "long" });
+  const dateStr = formatDate(now, timezone, {
     month: "long",
     day: "numeric",
     year: "numeric",
   });
+  const timeStr = now.toLocaleTimeString("en-US", { timeZone: timezone, hour: "numeric", minute: "2-digit" });
 
   const issueList = ctx.issues.length
     ? ctx.issues
         .map(
           (i) =>
-            `${i.identifier}: "${i.title}" | Status: ${i.state?.name || "?"} | Priority: ${i.priorityLabel || "None"} | Project: ${i.project?.name || "None"} | Assignee: ${i.assignee?.name || "Unassigned"} | Due: ${i.dueDate || "None"} | Labels: ${i.labels?.nodes?.map((l) => l.name).join(", ") || "none"}`
+            `${i.identifier}: "${i.title}" | Team: ${i.team?.key || "?"} | Status: ${i.state?.name || "?"} | Priority: ${i.priorityLabel || "None"} | Project: ${i.project?.name || "None"} | Assignee: ${i.assignee?.name || "Unassigned"} | Due: ${i.dueDate || "None"} | Labels: ${i.labels?.nodes?.map((l) => l.name).join(", ") || "none"}`
         )
         .join("\n")
     : "(No active issues)";
-
-  const stateNames = ctx.states.map((s) => `${s.name} (${s.type})`).join(", ");
-
-  return `You are Zach Ellis's sharp, no-nonsense task management agent for Yak Dev, a software development agency. Today is ${dayName}, ${dateStr}.
-
-CURRENT ACTIVE ISSUES (team ${ctx.teamKey}):
-${issueList}
+  const truncatedNote = ctx.issues.truncated
+    ? `\n(List truncated at ${ctx.issues.length} issues — some active work is not shown.)`
+    : "";
+
+  const teams = ctx.teams?.length ? ctx.teams : [{ key: ctx.teamKey, name: ctx.teamKey }];
+  const teamNames = teams.map((t) => `${t.name} (${t.key})`).join(", ");
+  // Each team has its own workflow, so list states per team
+  const stateNames = teams
+    .map((t) => {
+      const names = statesOfTeam(ctx.states, t.key).map((s) => `${s.name} (${s.type})`);
+      return teams.length > 1 ? `\n- ${t.key}: ${names.join(", ")}` : names.join(", ");
+    })
+    .join("");
+  const settings = ctx.settings || DEFAULT_SETTINGS;
+  const name = firstName(settings);
+  const identity = ctx.viewer
+    ? `In Linear they are ${ctx.viewer.name} — "me", "my" and "mine" mean their issues.`
+    : `They haven't linked a Linear account, so "me"/"my" can't be resolved — ask them to send /link <their Linear name>.`;
+
+  return `You are ${settings.ownerName}'s ${settings.tone} task management agent for ${settings.company}, ${settings.about}. Today is ${dayName}, ${dateStr} (${localDate(now, timezone)}, ${timezone}) and it's ${timeStr} — resolve "today", "tomorrow", "Friday" and "at 3pm" against this.
+
+You're talking to ${ctx.user?.name || settings.ownerName}. ${identity}
+
+TEAMS: ${teamNames}. New issues and projects go to ${ctx.teamKey} unless the user names another team (pass it as "team").
+
+CURRENT ACTIVE ISSUES:
+${issueList}${truncatedNote}
 
 AVAILABLE WORKFLOW STATES: ${stateNames}
 
 YOUR JOB:
-- Process Zach's messages about task updates, completions, new work, blockers, etc.
+- Process ${name}'s messages about task updates, completions, new work, blockers, etc.
 - Use your tools to make changes in Linear — update statuses, add comments, create issues, label things, assign work, create projects.
 - You CAN make multiple tool calls in one turn if the message asks for multiple things.
-- Match task references loosely. If Zach says "the auth thing", match it to whichever issue has "auth" in the title. If ambiguous, ask.
+- Risky changes (reassigning someone else's issue, creating a project, touching many issues at once) are held for ${name}'s approval via buttons. If a tool result says it's pending confirmation, say it's waiting on their tap.
+- The issue list above is only ACTIVE work. For anything else (done/canceled issues, history, "what happened with X?"), use search_issues, get_issue or list_issues — they query Linear directly.
+- For sweeping cleanups ("close YAK-388 through YAK-419"), use bulk_update_issues: preview first, then apply.
+- Match task references loosely. If ${name} says "the auth thing", match it to whichever issue has "auth" in the title. If ambiguous, ask.
 - Keep responses SHORT — this is a text conversation on a phone. Confirm what you did in 1-3 lines max.
 - Use plain text only, no markdown formatting.
-- If Zach is just chatting or asking a question (not requesting a task change), just respond conversationally. You don't have to use tools every time.`;
+- If ${name} is just chatting or asking a question (not requesting a task change), just respond conversationally. You don't have to use tools every time.`;
 }
 
 // ─── Claude API ───────────────────────────────────────────────────
 
 async function callClaude(env, system, messages) {
-  const res = await fetch(ANTHROPIC_API, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": env.ANTHROPIC_API_KEY,
-      "anthropic-version": "2023-06-01",
+  return requestJson(
+    ANTHROPIC_API,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01",
+      },
+      body: JSON.stringify({
+        model: env.ANTHROPIC_MODEL || "claude-opus-4-6",
+        max_tokens: 1024,
+        system,
+        messages,
+        tools: TOOL_DEFINITIONS,
+      }),
     },
-    body: JSON.stringify({
-      model: env.ANTHROPIC_MODEL || "claude-opus-4-6",
-      max_tokens: 1024,
-      system,
-      messages,
-      tools: TOOL_DEFINITIONS,
-    }),
-  });
-
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Anthropic API ${res.status}: ${body}`);
-  }
-
-  return await res.json();
+    { label: "Anthropic API", timeoutMs: Number(env.ANTHROPIC_TIMEOUT_MS) || ANTHROPIC_TIMEOUT_MS }
+  );
 }
 
-// ─── Conversation History (KV) ────────────────────────────────────
-
-async function getHistory(env) {
-  try {
-    const stored = await env.KV.get(HISTORY_KEY, "json");
-    return stored || [];
-  } catch {
-    return [];
-  }
-}
+// ─── Conversation History ─────────────────────────────────────────
 
-async function saveHistory(env, existing, userMsg, assistantMsg) {
+async function saveHistory(store, existing, userMsg, assistantMsg) {
   const updated = [
     ...existing,
     { role: "user", content: userMsg },
     { role: "assistant", content: assistantMsg },
   ];
   // Trim to last N pairs
-  const trimmed = updated.slice(-(MAX_HISTORY_PAIRS * 2));
-  await env.KV.put(HISTORY_KEY, JSON.stringify(trimmed));
+  await store.save(updated.slice(-(MAX_HISTORY_PAIRS * 2)));
 }
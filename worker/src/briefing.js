@@ -1,88 +1,215 @@
 // ─── Daily Briefing (cron-triggered, sent via Telegram) ──────────
 
-import { fetchActiveIssues } from "./linear.js";
+import { fetchActiveIssues, fetchIssues } from "./linear.js";
 import { sendMessage } from "./telegram.js";
+import { requestJson } from "./http.js";
+import { localDate, timezoneOf } from "./time.js";
+import { getSettings } from "./settings.js";
+import { teamKeysOf } from "./teams.js";
+import { buildSnapshot, diffSnapshots, diffSection, isMinorDiff, renderDiff } from "./snapshot.js";
+import {
+  staleThresholds,
+  findStaleIssues,
+  renderStaleSection,
+  staleSection,
+  wakeUpHeader,
+} from "./staleness.js";
+import { buildFallbackBriefing } from "./fallback.js";
+import { recordTopPriority, findUnconfirmed, clearUnconfirmed } from "./checkin.js";
+import { buildMetrics, recordMetrics } from "./metrics.js";
+import {
+  BRIEFING_TOOL,
+  buildBriefingPrompt,
+  normalizeBriefing,
+  assembleBriefing,
+  isBriefingDoc,
+  renderTelegramHtml,
+} from "./report.js";
 
+// Per chat: `briefing_cache:<chatId>`, `briefing_snapshot:<chatId>`. The
+// owner's chat still reads the unsuffixed keys it used before multi-user.
 const CACHE_KEY = "briefing_cache";
-const STALE_DAYS_THRESHOLD = 3;
+const SNAPSHOT_KEY = "briefing_snapshot";
+const DIFF_ONLY_MAX_CHANGES = 3; // small, low-stakes diffs get a diff-only message
+const ANTHROPIC_TIMEOUT_MS = 60000; // per attempt
+const ANTHROPIC_RETRIES = 2;
 
 /**
- * Generate + send the daily briefing. Called by the scheduled handler.
+ * Generate + send one chat's daily briefing (a report.js document).
+ * Called by the scheduled handler and /briefing.
  * Uses KV-based caching — same logic as the original script:
  *   - Hash issues to detect changes
  *   - If unchanged, reuse cached briefing (skip Anthropic)
- *   - After 3+ unchanged days, send "SNAP OUT OF IT, LOCK IN!"
+ *   - If only a little changed, send just the diff
+ *   - Otherwise ask Claude, or build it from rules if Claude is down
  */
-export async function handleDailyBriefing(env) {
-  const teamKey = env.LINEAR_TEAM_KEY || "YAK";
-  const today = new Date().toISOString().split("T")[0];
+export async function handleDailyBriefing(
+  env,
+  { chatId = env.TELEGRAM_CHAT_ID, timezone = timezoneOf(env) } = {}
+) {
+  const teamKeys = teamKeysOf(env);
+  const now = new Date();
+  const today = localDate(now, timezone);
+  const when = { now, timezone };
+  const settings = await getSettings(env, chatId);
+  const cacheKey = `${CACHE_KEY}:${chatId}`;
+  const snapshotKey = `${SNAPSHOT_KEY}:${chatId}`;
+  const legacy = String(chatId) === String(env.TELEGRAM_CHAT_ID);
 
-  console.log(`[Briefing] Running for ${today}...`);
+  console.log(`[Briefing] Running for chat ${chatId} on ${today}...`);
 
   // ─── Fetch issues ───────────────────────────────────────────
   let issues;
   try {
-    issues = await fetchActiveIssues(env.LINEAR_API_KEY, teamKey);
+    issues = await fetchActiveIssues(env.LINEAR_API_KEY, teamKeys, {
+      maxItems: Number(env.LINEAR_MAX_ITEMS) || undefined,
+    });
   } catch (err) {
-    console.error("[Briefing] Failed to fetch Linear issues:", err.message);
-    await sendMessage(
-      env.TELEGRAM_BOT_TOKEN,
-      env.TELEGRAM_CHAT_ID,
-      `Briefing failed — couldn't reach Linear: ${err.message}`
-    );
-    return;
+    // Thrown, not reported here, so the cron run retries it (see index.js)
+    throw new Error(`couldn't reach Linear: ${err.message}`);
   }
 
+  // Numbers for /stats — a failed write shouldn't cost the briefing
+  await recordMetrics(env.KV, buildMetrics(issues, today)).catch((err) =>
+    console.error("[Briefing] Couldn't record metrics:", err.message)
+  );
+
   if (issues.length === 0) {
     await sendMessage(
       env.TELEGRAM_BOT_TOKEN,
-      env.TELEGRAM_CHAT_ID,
+      chatId,
       "No active issues in Linear. Either you're crushing it or something is wrong."
     );
     return;
   }
 
+  // Surfaced on top of whatever we send so a capped fetch never goes unnoticed
+  const warning = issues.truncated
+    ? `Heads up: only the first ${issues.length} issues were loaded (LINEAR_MAX_ITEMS). This briefing may be missing work.`
+    : "";
+
+  const thresholds = staleThresholds(env);
+  const stale = findStaleIssues(issues, thresholds, now, timezone);
+  const staleText = renderStaleSection(stale);
+  const unconfirmed = await findUnconfirmed(env.KV, chatId, today, issues);
+  // Every message ends with last evening's unanswered check-in items, then
+  // the ranked stale work
+  const after = [unconfirmed, staleSection(stale)];
+
   // ─── Cache check ────────────────────────────────────────────
-  const currentHash = await hashIssues(issues);
-  let cache;
-  try {
-    cache = await env.KV.get(CACHE_KEY, "json");
-  } catch {
-    cache = null;
-  }
+  const currentHash = await hashIssues(issues, settings);
+  const snapshot = buildSnapshot(issues);
+  const cache = await readChatRecord(env.KV, cacheKey, legacy && CACHE_KEY);
+  // Caches from before the structured format hold plain text, and after a
+  // diff-only day the body is behind the board — regenerate either way
+  const cachedDoc = isBriefingDoc(cache?.briefing) && !cache.diffOnly ? cache.briefing : null;
 
-  if (cache && cache.hash === currentHash) {
+  if (cachedDoc && cache.hash === currentHash) {
     const unchangedDays = (cache.unchangedDays || 0) + 1;
     console.log(`[Briefing] Tasks unchanged for ${unchangedDays} day(s). Skipping Anthropic.`);
 
-    let briefing;
-    if (unchangedDays >= STALE_DAYS_THRESHOLD) {
-      briefing = "SNAP OUT OF IT, LOCK IN!";
+    let header = "";
+    if (unchangedDays >= thresholds.wakeUpDays) {
+      header = wakeUpHeader(unchangedDays);
       console.log(`[Briefing] Stale for ${unchangedDays} days — wake-up call.`);
-    } else {
-      briefing = cache.briefing;
     }
 
+    await sendBriefing(
+      env,
+      chatId,
+      today,
+      assembleBriefing(cachedDoc, { ...when, issues, teamKeys, banners: [warning, header], after }),
+      cachedDoc
+    );
+    // Only once it's out, so a failed send retries from the same state
     await env.KV.put(
-      CACHE_KEY,
+      cacheKey,
       JSON.stringify({
         hash: currentHash,
-        briefing: cache.briefing, // always keep the real briefing text
+        briefing: cachedDoc, // always keep the real briefing
         unchangedDays,
         lastRun: today,
       })
     );
+    await env.KV.put(snapshotKey, JSON.stringify(snapshot));
+    return;
+  }
+
+  // ─── Diff against the last snapshot ─────────────────────────
+  const previous = await readChatRecord(env.KV, snapshotKey, legacy && SNAPSHOT_KEY);
+  const departed = await lookupDeparted(env, previous, snapshot);
+  const diff = diffSnapshots(previous, snapshot, departed);
+  const sinceText = renderDiff(diff);
+  const since = diffSection(diff);
 
-    await sendMessage(env.TELEGRAM_BOT_TOKEN, env.TELEGRAM_CHAT_ID, briefing);
+  const maxDiffOnly = Number(env.DIFF_ONLY_MAX_CHANGES) || DIFF_ONLY_MAX_CHANGES;
+  if (cachedDoc && isMinorDiff(diff, maxDiffOnly)) {
+    console.log("[Briefing] Minor changes only. Sending diff without calling Anthropic.");
+    const diffOnly = {
+      sections: [{ ...since, notes: ["Everything else is as in your last briefing."] }],
+      actions: [],
+    };
+    await sendBriefing(
+      env,
+      chatId,
+      today,
+      assembleBriefing(diffOnly, { ...when, issues, teamKeys, banners: [warning], after }),
+      cachedDoc // its TOP PRIORITY still stands
+    );
+    await env.KV.put(
+      cacheKey,
+      JSON.stringify({
+        hash: currentHash,
+        briefing: cachedDoc,
+        unchangedDays: 0,
+        lastRun: today,
+        diffOnly: true, // so the next run doesn't reuse it as current
+      })
+    );
+    await env.KV.put(snapshotKey, JSON.stringify(snapshot));
     return;
   }
 
   // ─── Generate fresh briefing ────────────────────────────────
   console.log("[Briefing] Tasks changed (or first run). Calling Anthropic...");
-  const briefing = await generateBriefing(issues, env);
+  let briefing;
+  try {
+    briefing = await generateBriefing(issues, env, { settings, sinceText, staleText, ...when });
+  } catch (err) {
+    console.error("[Briefing] Anthropic call failed, sending fallback:", err.message);
+    // Snapshot left as is: the cache still holds the last real briefing, so
+    // the next diff has to run from there too
+    await sendBriefing(
+      env,
+      chatId,
+      today,
+      assembleBriefing(buildFallbackBriefing(issues, now, timezone, settings.sections), {
+        ...when,
+        issues,
+        teamKeys,
+        banners: [warning],
+        before: [since],
+        after,
+      })
+    );
+    return;
+  }
 
+  await sendBriefing(
+    env,
+    chatId,
+    today,
+    assembleBriefing(briefing, {
+      ...when,
+      issues,
+      teamKeys,
+      banners: [warning],
+      before: [since],
+      after,
+    })
+  );
   await env.KV.put(
-    CACHE_KEY,
+    cacheKey,
     JSON.stringify({
       hash: currentHash,
       briefing,
@@ -90,70 +217,94 @@ export async function handleDailyBriefing(env) {
       lastRun: today,
     })
   );
-
-  await sendMessage(env.TELEGRAM_BOT_TOKEN, env.TELEGRAM_CHAT_ID, briefing);
+  await env.KV.put(snapshotKey, JSON.stringify(snapshot));
   console.log("[Briefing] Sent.");
 }
 
-// ─── Briefing Generation ──────────────────────────────────────────
-
-async function generateBriefing(issues, env) {
-  const today = new Date();
-  const dayName = today.toLocaleDateString("en-US", { weekday: "long" });
-  const dateStr = today.toLocaleDateString("en-US", {
-    month: "long",
-    day: "numeric",
-    year: "numeric",
+// Sends it, hands TOP PRIORITY (from `topFrom`, when `doc` is a diff) to
+// the evening check-in, and retires the check-in round it reported
+async function sendBriefing(env, chatId, today, doc, topFrom = doc) {
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, renderTelegramHtml(doc), {
+    parseMode: "HTML",
   });
+  await recordTopPriority(env.KV, chatId, today, topFrom);
+  await clearUnconfirmed(env.KV, chatId, today);
+}
 
-  const issuesSummary = issues
-    .map(
-      (i) =>
-        `- ${i.identifier}: "${i.title}" | Project: ${i.project?.name || "No Project"} | Status: ${i.state?.name || "Unknown"} | Priority: ${i.priorityLabel} | Assignee: ${i.assignee?.name || "Unassigned"} | Due: ${i.dueDate || "No due date"} | Labels: ${i.labels?.nodes?.map((l) => l.name).join(", ") || "none"} | Desc: ${(i.description || "").substring(0, 200)}`
-    )
-    .join("\n");
-
-  const prompt = `You are a sharp, no-nonsense executive assistant for Zach Ellis who runs Yak Dev, a software development agency. Today is ${dayName}, ${dateStr}.
-
-Here are all active issues from Linear:
-
-${issuesSummary}
+/**
+ * A chat's cached JSON record, falling back to `legacyKey` (if given) for
+ * the owner's pre-multi-user data. Null if neither is readable.
+ */
+async function readChatRecord(kv, key, legacyKey) {
+  try {
+    return (await kv.get(key, "json")) || (legacyKey ? await kv.get(legacyKey, "json") : null);
+  } catch {
+    return null;
+  }
+}
 
-Generate a concise daily briefing for Zach. The format should be:
+/**
+ * Issues that left the active set since the last snapshot — look up where
+ * they went (completed, canceled, ...) so the diff can say so.
+ */
+async function lookupDeparted(env, previous, snapshot) {
+  const ids = Object.keys(previous || {}).filter((id) => !snapshot[id]);
+  if (ids.length === 0) return {};
+  try {
+    const issues = await fetchIssues(env.LINEAR_API_KEY, { id: { in: ids } });
+    return Object.fromEntries(
+      issues.map((i) => [i.id, { status: i.state?.name, stateType: i.state?.type }])
+    );
+  } catch (err) {
+    console.error("[Briefing] Couldn't look up departed issues:", err.message);
+    return {};
+  }
+}
 
-1. TOP PRIORITY — What must get done today. If something is overdue or due today, call it out hard.
-2. THIS WEEK — What needs progress this week, organized by project.
-3. BLOCKED / WAITING — Anything that's stuck and needs Zach to unblock it.
-4. LOW PRIORITY — Things that exist but aren't urgent. Just a quick reminder they're there.
+// ─── Briefing Generation ──────────────────────────────────────────
 
-Keep it punchy and actionable. No fluff. Use plain text (this goes to Telegram, no markdown). Use line breaks and simple dashes for structure. Keep the whole thing under 1500 characters so it's readable on a phone screen.`;
+/**
+ * Ask Claude for the briefing through the forced submit_briefing tool and
+ * return it as a validated briefing document.
+ */
+async function generateBriefing(issues, env, { settings, sinceText, staleText, now, timezone }) {
+  const prompt = buildBriefingPrompt({ issues, settings, sinceText, staleText, now, timezone });
 
-  const res = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": env.ANTHROPIC_API_KEY,
-      "anthropic-version": "2023-06-01",
+  const data = await requestJson(
+    "https://api.anthropic.com/v1/messages",
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01",
+      },
+      body: JSON.stringify({
+        model: env.ANTHROPIC_MODEL || "claude-opus-4-6",
+        max_tokens: 2048,
+        tools: [BRIEFING_TOOL],
+        tool_choice: { type: "tool", name: BRIEFING_TOOL.name },
+        messages: [{ role: "user", content: prompt }],
+      }),
     },
-    body: JSON.stringify({
-      model: env.ANTHROPIC_MODEL || "claude-opus-4-6",
-      max_tokens: 1024,
-      messages: [{ role: "user", content: prompt }],
-    }),
-  });
-
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`Anthropic API ${res.status}: ${body}`);
-  }
+    {
+      label: "Anthropic API",
+      // A hung call would otherwise eat the whole cron invocation; retries
+      // are kept short so the fallback still goes out in reasonable time
+      timeoutMs: Number(env.ANTHROPIC_TIMEOUT_MS) || ANTHROPIC_TIMEOUT_MS,
+      retries: ANTHROPIC_RETRIES,
+    }
+  );
 
-  const data = await res.json();
-  return data.content[0].text;
+  const submitted = data.content.find((b) => b.type === "tool_use");
+  if (!submitted) throw new Error("Anthropic response had no submit_briefing call");
+  return normalizeBriefing(submitted.input, issues, { now, timezone, sections: settings.sections });
 }
 
 // ─── Hashing (Web Crypto — no Node crypto module in Workers) ─────
 
-async function hashIssues(issues) {
+// Settings are hashed in too, so a new tone or layout regenerates the briefing
+async function hashIssues(issues, settings) {
   const normalized = issues
     .map((i) => ({
       id: i.identifier,
@@ -166,7 +317,7 @@ async function hashIssues(issues) {
     }))
     .sort((a, b) => a.id.localeCompare(b.id));
 
-  const data = new TextEncoder().encode(JSON.stringify(normalized));
+  const data = new TextEncoder().encode(JSON.stringify({ issues: normalized, settings }));
   const hashBuffer = await crypto.subtle.digest("SHA-256", data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
@@ -0,0 +1,238 @@
+// ─── Evening Check-in ─────────────────────────────────────────────
+//
+// Boards drift because nobody marks things done. At each chat's check-in
+// time (/checkin, on its /schedule days) the bot goes through what the
+// user has in progress plus that morning's TOP PRIORITY items — one
+// message per issue, with Done / Still working / Blocked / Push to
+// tomorrow buttons. A tap applies the choice through the agent's tools,
+// so /undo reverts it like any other change.
+//
+// KV, per chat:
+//   checkin_top:<chatId> — { date, identifiers }: TOP PRIORITY of the last briefing
+//   checkin:<chatId>     — { date, items: { [identifier]: answer | null } }
+//
+// Whatever's still unanswered goes into the next briefing, once, as
+// UNCONFIRMED.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { fetchActiveIssues, fetchIssue, fetchLabels, fetchViewer, fetchWorkflowStates } from "./linear.js";
+import { sendMessage, answerCallbackQuery, editMessageText } from "./telegram.js";
+import { executeTool } from "./tools.js";
+import { getSchedule } from "./schedule.js";
+import { linearIdentity } from "./users.js";
+import { teamKeysOf, teamKeyOfIdentifier, stateOfType } from "./teams.js";
+import { addDays, localDate } from "./time.js";
+
+const TOP_PREFIX = "checkin_top:";
+const ROUND_PREFIX = "checkin:";
+const MAX_ITEMS = 10; // one message each, so keep the evening short
+const BLOCKED_STATE = /block/i;
+const BLOCKED_LABEL = "Blocked";
+
+const CHOICES = {
+  done: "Done",
+  working: "Still working",
+  blocked: "Blocked",
+  tomorrow: "Push to tomorrow",
+};
+
+// ─── Briefing Hooks ───────────────────────────────────────────────
+
+/**
+ * Remember what a briefing put in TOP PRIORITY, for that evening's check-in.
+ */
+export async function recordTopPriority(kv, chatId, date, doc) {
+  const top = doc.sections.find((s) => s.id === "top");
+  if (!top) return;
+  const identifiers = top.items.map((item) => item.identifier).filter(Boolean);
+  await kv.put(TOP_PREFIX + chatId, JSON.stringify({ date, identifiers }));
+}
+
+/**
+ * The UNCONFIRMED section for a briefing on `today`: items from an earlier
+ * check-in nobody answered that are still active in `issues`. Null if
+ * there are none. The round stays until clearUnconfirmed, once the
+ * briefing is out.
+ */
+export async function findUnconfirmed(kv, chatId, today, issues) {
+  const round = await kv.get(ROUND_PREFIX + chatId, "json").catch(() => null);
+  if (!round || round.date >= today) return null;
+
+  const items = Object.entries(round.items)
+    .filter(([, answer]) => !answer)
+    .map(([identifier]) => issues.find((i) => i.identifier === identifier))
+    .filter(Boolean)
+    .map((issue) => ({
+      identifier: issue.identifier,
+      title: issue.title,
+      project: issue.project?.name,
+      reason: `no answer at check-in, still ${issue.state?.name || "open"}`,
+    }));
+  if (items.length === 0) return null;
+  return { id: "unconfirmed", title: `UNCONFIRMED (${items.length})`, items };
+}
+
+/**
+ * Drop an earlier check-in round once a briefing on `today` has been sent,
+ * so each round is only reported once. Today's round is left alone.
+ */
+export async function clearUnconfirmed(kv, chatId, today) {
+  const round = await kv.get(ROUND_PREFIX + chatId, "json").catch(() => null);
+  if (round && round.date < today) await kv.delete(ROUND_PREFIX + chatId);
+}
+
+// ─── Sending ──────────────────────────────────────────────────────
+
+/**
+ * Send a chat's check-in: `user`'s started issues plus today's TOP PRIORITY
+ * items that are still active. Returns how many issues it asked about.
+ */
+export async function sendCheckin(env, { chatId, user, timezone }, now = new Date()) {
+  const today = localDate(now, timezone);
+  const [issues, keyOwner, top] = await Promise.all([
+    fetchActiveIssues(env.LINEAR_API_KEY, teamKeysOf(env), {
+      maxItems: Number(env.LINEAR_MAX_ITEMS) || undefined,
+    }),
+    user.owner && !user.linearUserId ? fetchViewer(env.LINEAR_API_KEY) : null,
+    env.KV.get(TOP_PREFIX + chatId, "json").catch(() => null),
+  ]);
+  const viewer = linearIdentity(user, keyOwner);
+  const topIds = top?.date === today ? top.identifiers : [];
+
+  // This morning's priorities first, in briefing order, then the rest in progress
+  const picked = [
+    ...topIds.map((id) => issues.find((i) => i.identifier === id)).filter(Boolean),
+    ...issues.filter(
+      (i) => viewer && i.state?.type === "started" && i.assignee?.id === viewer.id && !topIds.includes(i.identifier)
+    ),
+  ];
+  if (picked.length === 0) return 0;
+
+  const asked = picked.slice(0, MAX_ITEMS);
+  const more = picked.length > asked.length ? ` (first ${asked.length} of ${picked.length})` : "";
+  await sendMessage(
+    env.TELEGRAM_BOT_TOKEN,
+    chatId,
+    `EVENING CHECK-IN — where did these land today?${more}`
+  );
+  for (const issue of asked) {
+    const due = issue.dueDate ? ` · due ${issue.dueDate}` : "";
+    await sendMessage(
+      env.TELEGRAM_BOT_TOKEN,
+      chatId,
+      `${issue.identifier} "${issue.title}" — ${issue.state?.name || "?"}${due}`,
+      { replyMarkup: checkinKeyboard(issue.identifier) }
+    );
+  }
+
+  const items = Object.fromEntries(asked.map((i) => [i.identifier, null]));
+  await env.KV.put(ROUND_PREFIX + chatId, JSON.stringify({ date: today, items }));
+  return asked.length;
+}
+
+function checkinKeyboard(identifier) {
+  const button = (choice) => ({ text: CHOICES[choice], callback_data: `checkin:${identifier}:${choice}` });
+  return {
+    inline_keyboard: [
+      [button("done"), button("working")],
+      [button("blocked"), button("tomorrow")],
+    ],
+  };
+}
+
+// ─── Button Taps ──────────────────────────────────────────────────
+
+/**
+ * Apply a check-in button tap and show the outcome in place of the buttons.
+ */
+export async function handleCheckinTap(update, env, identifier, choice) {
+  if (!CHOICES[choice]) {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId);
+    return;
+  }
+
+  let result;
+  try {
+    result = await applyChoice(env, update, identifier, choice);
+  } catch (err) {
+    result = { error: err.message };
+  }
+
+  if (result.error) {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Failed");
+    await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, `Couldn't update ${identifier}: ${result.error}`);
+    return;
+  }
+
+  await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, CHOICES[choice]);
+  await editMessageText(
+    env.TELEGRAM_BOT_TOKEN,
+    update.chatId,
+    update.messageId,
+    `${update.messageText}\n→ ${result.outcome}`
+  );
+  await recordAnswer(env.KV, update.chatId, identifier, choice);
+}
+
+/**
+ * Make the change a choice stands for. Returns { outcome } or { error }.
+ */
+async function applyChoice(env, update, identifier, choice) {
+  const apiKey = env.LINEAR_API_KEY;
+  const issue = await fetchIssue(apiKey, identifier);
+  if (!issue) return { error: "it no longer exists in Linear." };
+
+  const teamKey = teamKeyOfIdentifier(issue.identifier);
+  const states = choice === "tomorrow" ? [] : await fetchWorkflowStates(apiKey, teamKey);
+  const ctx = {
+    apiKey,
+    kv: env.KV,
+    chatId: update.chatId,
+    userId: update.userId,
+    messageId: update.messageId,
+    teamKey,
+    issues: [issue],
+    states,
+    labels: [],
+    projects: [],
+    members: [],
+  };
+  const moveTo = async (state) => {
+    const result = await executeTool("update_issue_status", { issue_identifier: identifier, status: state.name }, ctx);
+    return result.error ? result : { outcome: state.name };
+  };
+
+  switch (choice) {
+    case "done": {
+      const state = stateOfType(states, "completed");
+      return state ? moveTo(state) : { error: `team ${teamKey} has no completed state.` };
+    }
+    case "working": {
+      if (issue.state?.type === "started") return { outcome: `still ${issue.state.name}` };
+      const state = stateOfType(states, "started");
+      return state ? moveTo(state) : { outcome: "still working" };
+    }
+    case "blocked": {
+      // A "Blocked" workflow state if the team has one, otherwise the label
+      const state = states.find((s) => BLOCKED_STATE.test(s.name) && !["completed", "canceled"].includes(s.type));
+      if (state) return moveTo(state);
+      ctx.labels = await fetchLabels(apiKey);
+      const result = await executeTool("add_label", { issue_identifier: identifier, label_name: BLOCKED_LABEL }, ctx);
+      return result.error ? result : { outcome: `labeled ${BLOCKED_LABEL}` };
+    }
+    case "tomorrow": {
+      const { timezone } = await getSchedule(env, update.chatId);
+      const tomorrow = addDays(localDate(new Date(), timezone), 1);
+      const result = await executeTool("update_due_date", { issue_identifier: identifier, due_date: tomorrow }, ctx);
+      return result.error ? result : { outcome: `due tomorrow (${tomorrow})` };
+    }
+  }
+}
+
+async function recordAnswer(kv, chatId, identifier, choice) {
+  const round = await kv.get(ROUND_PREFIX + chatId, "json").catch(() => null);
+  if (!round || !(identifier in round.items)) return;
+  round.items[identifier] = choice;
+  await kv.put(ROUND_PREFIX + chatId, JSON.stringify(round));
+}
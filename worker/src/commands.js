@@ -0,0 +1,646 @@
+// ─── Bot Commands ─────────────────────────────────────────────────
+//
+// Slash commands run deterministically — no Claude call, and only the
+// Linear queries each command actually needs. The COMMANDS table drives
+// dispatch, /help and Telegram's autocomplete (setMyCommands). Commands
+// marked `admin` are refused for everyone else.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { sendMessage, setMyCommands } from "./telegram.js";
+import { handleDailyBriefing } from "./briefing.js";
+import { undoLast } from "./journal.js";
+import { executeTool } from "./tools.js";
+import {
+  getSchedule,
+  saveSchedule,
+  parseScheduleArgs,
+  parseTime,
+  describeSchedule,
+  describeCheckin,
+  parseReviewArgs,
+  describeReview,
+} from "./schedule.js";
+import { handleWeeklyReview } from "./weekly.js";
+import { DEFAULT_STATS_DAYS, MAX_STATS_DAYS, readMetrics, renderStats } from "./metrics.js";
+import { sendCheckin } from "./checkin.js";
+import {
+  getUsers,
+  saveUser,
+  removeUser,
+  matchMember,
+  describeUser,
+  linearIdentity,
+} from "./users.js";
+import {
+  DEFAULT_SETTINGS,
+  getSettings,
+  saveSettings,
+  applySettingsArgs,
+  describeSettings,
+} from "./settings.js";
+import {
+  listRules,
+  rulesFor,
+  findRule,
+  updateRule,
+  deleteRule,
+  prepareRule,
+  describeRule,
+} from "./recurring.js";
+import { describeReminder } from "./reminders.js";
+import {
+  getAlertConfig,
+  saveAlertConfig,
+  parseAlertArgs,
+  describeAlertConfig,
+} from "./deadlines.js";
+import { daysBetween, localDate } from "./time.js";
+import {
+  teamKeysOf,
+  getDefaultTeamKey,
+  saveDefaultTeamKey,
+  findTeam,
+  teamKeyOfIdentifier,
+  stateOfType,
+} from "./teams.js";
+import {
+  fetchIssues,
+  fetchMembers,
+  fetchTeamId,
+  fetchTeams,
+  fetchWorkflowStates,
+  fetchViewer,
+} from "./linear.js";
+
+const NOT_LINKED = "You haven't linked a Linear account yet — send /link <your Linear name>.";
+const PRIORITIES = { none: 0, urgent: 1, high: 2, medium: 3, low: 4 };
+const ACTIVE_STATE_TYPES = ["backlog", "unstarted", "started"];
+
+const WELCOME = `YakDev Agent is live.
+
+Just text me like normal:
+- "Finished the auth flow, YAK-42 is done"
+- "Block YAK-15, waiting on client assets"
+- "Create a new task: set up staging environment"
+- "What's on my plate?"
+
+I'll handle the Linear updates for you. /help lists the quick commands.`;
+
+// ─── Command Table ────────────────────────────────────────────────
+
+/**
+ * Each command: { name, args, description, admin?, run(args, update, env, session) }.
+ * `session` is the chat session's state for the sender ({ user, history, reminders });
+ * commands run inside its queue. `run` returns the reply text, or null if
+ * it already replied itself.
+ */
+const COMMANDS = [
+  {
+    name: "done",
+    args: "YAK-42",
+    description: "Mark an issue done",
+    run: (args, update, env) => moveToStateType(args, update, env, "completed"),
+  },
+  {
+    name: "start",
+    args: "YAK-42",
+    description: "Move an issue to In Progress",
+    run: async (args, update, env) => {
+      if (args.length > 0) return moveToStateType(args, update, env, "started");
+      // Bare /start is the welcome — and a good moment to register autocomplete
+      await setMyCommands(env.TELEGRAM_BOT_TOKEN, telegramCommandList());
+      return `${WELCOME}\n\nYour chat ID: ${update.chatId}`;
+    },
+  },
+  {
+    name: "prio",
+    args: "YAK-42 urgent",
+    description: "Set priority (urgent/high/medium/low/none)",
+    run: async ([identifier, level], update, env) => {
+      const priority = PRIORITIES[level?.toLowerCase()] ?? Number(level);
+      if (!identifier || !(priority >= 0 && priority <= 4)) {
+        return "Usage: /prio YAK-42 urgent|high|medium|low|none";
+      }
+      const result = await runTool(env, update, "update_issue_priority", {
+        issue_identifier: identifier,
+        priority,
+      });
+      return result.error || `${result.issue} priority → ${result.new_priority}`;
+    },
+  },
+  {
+    name: "due",
+    args: "YAK-42 2026-11-01",
+    description: "Set a due date (or 'none' to clear)",
+    run: async ([identifier, date], update, env) => {
+      const clearing = ["none", "clear"].includes(date?.toLowerCase());
+      if (!identifier || !(clearing || /^\d{4}-\d{2}-\d{2}$/.test(date || ""))) {
+        return "Usage: /due YAK-42 2026-11-01 (or /due YAK-42 none)";
+      }
+      const result = await runTool(env, update, "update_due_date", {
+        issue_identifier: identifier,
+        due_date: clearing ? "" : date,
+      });
+      return result.error || `${result.issue} due date → ${result.due_date}`;
+    },
+  },
+  {
+    name: "assign",
+    args: "YAK-42 zach",
+    description: "Assign an issue to a teammate",
+    run: async ([identifier, ...name], update, env, session) => {
+      if (!identifier || name.length === 0) return "Usage: /assign YAK-42 zach (or me)";
+      const [members, keyOwner] = await Promise.all([
+        fetchMembers(env.LINEAR_API_KEY, teamKeysOf(env)),
+        session.user.owner ? fetchViewer(env.LINEAR_API_KEY) : null,
+      ]);
+      const result = await runTool(
+        env,
+        update,
+        "assign_issue",
+        { issue_identifier: identifier, assignee_name: name.join(" ") },
+        { members, viewer: linearIdentity(session.user, keyOwner) }
+      );
+      return result.error || `${result.issue} assigned to ${result.assignee}`;
+    },
+  },
+  {
+    name: "mine",
+    args: "",
+    description: "List my active issues",
+    run: async (args, update, env, session) => {
+      const assignee = myIssuesFilter(session.user);
+      if (!assignee) return NOT_LINKED;
+      const issues = await fetchIssues(env.LINEAR_API_KEY, { ...activeFilter(env), assignee });
+      if (issues.length === 0) return "Nothing assigned to you. Suspicious.";
+      return [`YOUR ISSUES (${issues.length}):`, ...sortByUrgency(issues).map(formatIssueLine)].join("\n");
+    },
+  },
+  {
+    name: "overdue",
+    args: "",
+    description: "List overdue issues",
+    run: async (args, update, env) => {
+      const { timezone } = await getSchedule(env, update.chatId);
+      const today = localDate(new Date(), timezone);
+      const issues = await fetchIssues(env.LINEAR_API_KEY, {
+        ...activeFilter(env),
+        dueDate: { lt: today },
+      });
+      if (issues.length === 0) return "Nothing overdue. Keep it that way.";
+      const lines = issues
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+        .map((i) => `${formatIssueLine(i)} (${daysBetween(i.dueDate, today)}d late)`);
+      return [`OVERDUE (${issues.length}):`, ...lines].join("\n");
+    },
+  },
+  {
+    name: "stats",
+    args: "[days]",
+    description: "Backlog trends over the last N days (default 14)",
+    run: async ([arg], update, env) => {
+      const days = arg === undefined ? DEFAULT_STATS_DAYS : Number(arg);
+      if (!Number.isInteger(days) || days < 2 || days > MAX_STATS_DAYS) {
+        return `Usage: /stats [days] — 2 to ${MAX_STATS_DAYS}, default ${DEFAULT_STATS_DAYS}.`;
+      }
+      const { timezone } = await getSchedule(env, update.chatId);
+      const snapshots = await readMetrics(env.KV, localDate(new Date(), timezone), days);
+      return renderStats(snapshots, days);
+    },
+  },
+  {
+    name: "todo",
+    args: "<title>",
+    description: "Create a new issue",
+    run: async (args, update, env) => {
+      if (args.length === 0) return "Usage: /todo fix login bug";
+      const teamKey = await getDefaultTeamKey(env, update.chatId);
+      const teamId = await fetchTeamId(env.LINEAR_API_KEY, teamKey);
+      const result = await runTool(
+        env,
+        update,
+        "create_issue",
+        { title: args.join(" ") },
+        { teamId, teamKey }
+      );
+      return result.error || `Created ${result.issue}: ${result.title}\n${result.url}`;
+    },
+  },
+  {
+    name: "team",
+    args: "[key or name]",
+    description: "Show teams or switch the default team for new issues",
+    run: async (args, update, env) => {
+      const [teams, current] = await Promise.all([
+        fetchTeams(env.LINEAR_API_KEY, teamKeysOf(env)),
+        getDefaultTeamKey(env, update.chatId),
+      ]);
+      if (args.length === 0) {
+        const lines = teams.map((t) => `- ${t.key} ${t.name}${t.key === current ? " (default)" : ""}`);
+        return [`TEAMS (${teams.length}):`, ...lines, "", "/team <key> switches where new issues go."].join("\n");
+      }
+
+      const team = findTeam(args.join(" "), teams);
+      if (!team) return `No configured team matches "${args.join(" ")}". Teams: ${teams.map((t) => t.key).join(", ")}`;
+      await saveDefaultTeamKey(env.KV, update.chatId, team.key);
+      return `New issues and projects now go to ${team.name} (${team.key}).`;
+    },
+  },
+  {
+    name: "briefing",
+    args: "",
+    description: "Get your daily briefing now",
+    run: async (args, update, env) => {
+      await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, "Generating your briefing...");
+      const { timezone } = await getSchedule(env, update.chatId);
+      await handleDailyBriefing(env, { chatId: update.chatId, timezone });
+      return null;
+    },
+  },
+  {
+    name: "schedule",
+    args: "[7:30] [mon-fri] [America/Denver] | off",
+    description: "Show or change when your briefing arrives",
+    run: async (args, update, env) => {
+      const current = await getSchedule(env, update.chatId);
+      if (args.length === 0) return describeSchedule(current);
+
+      if (args.length === 1 && args[0].toLowerCase() === "off") {
+        await saveSchedule(env.KV, update.chatId, { ...current, enabled: false });
+        return describeSchedule({ ...current, enabled: false });
+      }
+
+      const { schedule, error } = parseScheduleArgs(args, current);
+      if (error) return error;
+      await saveSchedule(env.KV, update.chatId, schedule);
+      return `Got it. ${describeSchedule(schedule)}`;
+    },
+  },
+  {
+    name: "checkin",
+    args: "[17:30|off|now]",
+    description: "Show or change your evening check-in, or run it now",
+    run: async (args, update, env, session) => {
+      const current = await getSchedule(env, update.chatId);
+      const arg = args.join(" ").trim().toLowerCase();
+      if (!arg) return describeCheckin(current);
+
+      if (arg === "now") {
+        const asked = await sendCheckin(env, {
+          chatId: update.chatId,
+          user: session.user,
+          timezone: current.timezone,
+        });
+        return asked > 0 ? null : "Nothing to check in on — nothing started and no TOP PRIORITY from today's briefing.";
+      }
+
+      const checkinTime = arg === "off" ? null : parseTime(arg);
+      if (arg !== "off" && !checkinTime) return `Didn't understand "${arg}" as a time (e.g. 17:30 or 5:30pm).`;
+      const schedule = { ...current, checkinTime };
+      await saveSchedule(env.KV, update.chatId, schedule);
+      return `Got it. ${describeCheckin(schedule)}`;
+    },
+  },
+  {
+    name: "review",
+    args: "[fri] [16:00] | off | now",
+    description: "Show or change your weekly review, or run it now",
+    run: async (args, update, env) => {
+      const current = await getSchedule(env, update.chatId);
+      const arg = args.join(" ").trim().toLowerCase();
+      if (!arg) return describeReview(current);
+
+      if (arg === "now") {
+        await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, "Putting the week together...");
+        await handleWeeklyReview(env, { chatId: update.chatId, timezone: current.timezone });
+        return null;
+      }
+      if (arg === "off") {
+        await saveSchedule(env.KV, update.chatId, { ...current, reviewDay: null });
+        return describeReview({ ...current, reviewDay: null });
+      }
+
+      const { schedule, error } = parseReviewArgs(args, current);
+      if (error) return error;
+      await saveSchedule(env.KV, update.chatId, schedule);
+      return `Got it. ${describeReview(schedule)}`;
+    },
+  },
+  {
+    name: "reminders",
+    args: "[cancel <id>]",
+    description: "List your pending reminders, or cancel one",
+    run: async (args, update, env, session) => {
+      if (args[0]?.toLowerCase() === "cancel") {
+        if (!args[1]) return "Usage: /reminders cancel <id>";
+        const reminder = await session.reminders.cancel(args[1]);
+        return reminder ? `Canceled: ${describeReminder(reminder)}` : `No pending reminder with id "${args[1]}".`;
+      }
+
+      const reminders = await session.reminders.list();
+      if (reminders.length === 0) return 'No reminders set. Ask me, e.g. "remind me at 3pm to chase the client on YAK-337".';
+      return [`REMINDERS (${reminders.length}):`, ...reminders.map((r) => `- ${describeReminder(r)}`)].join("\n");
+    },
+  },
+  {
+    name: "recurring",
+    args: "[pause|resume|delete <id>]",
+    description: "List this chat's recurring issues, or pause, resume or delete one",
+    run: async (args, update, env, session) => {
+      const rules = rulesFor(await listRules(env.KV), update.chatId, session.user);
+      if (args.length === 0) {
+        if (rules.length === 0) return 'No recurring issues yet. Ask me, e.g. "every other Friday, create Send invoices".';
+        return [`RECURRING (${rules.length}):`, ...rules.map((r) => `- ${describeRule(r)}`)].join("\n");
+      }
+
+      const [action, id] = args;
+      const rule = findRule(rules, id);
+      if (!["pause", "resume", "delete"].includes(action.toLowerCase()) || !id) {
+        return "Usage: /recurring [pause|resume|delete <id>]";
+      }
+      if (!rule) return `No recurring issue with id "${id}". /recurring lists them.`;
+
+      if (action.toLowerCase() === "delete") {
+        await deleteRule(env.KV, rule.id);
+        return `Deleted "${rule.title}". Issues it already created are left alone.`;
+      }
+      const { rule: changed, error } = prepareRule(
+        { ...rule, paused: action.toLowerCase() === "pause" },
+        localDate(new Date(), rule.timezone)
+      );
+      if (error) return error;
+      await updateRule(env.KV, rule.id, changed);
+      return describeRule(changed);
+    },
+  },
+  {
+    name: "alerts",
+    args: "[on|off|kinds|soon|today|quiet] [value]",
+    description: "Show or change your deadline alerts",
+    run: async (args, update, env) => {
+      const [current, { timezone }] = await Promise.all([
+        getAlertConfig(env, update.chatId),
+        getSchedule(env, update.chatId),
+      ]);
+      if (args.length === 0) return describeAlertConfig(current, timezone);
+
+      const { config, error } = parseAlertArgs(args, current);
+      if (error) return error;
+      await saveAlertConfig(env, update.chatId, config);
+      return `Saved.\n\n${describeAlertConfig(config, timezone)}`;
+    },
+  },
+  {
+    name: "settings",
+    args: "[name|company|about|tone|maxchars|sections|section|reset] [value]",
+    description: "Show or change who I work for and how briefings read",
+    run: async (args, update, env) => {
+      const current = await getSettings(env, update.chatId);
+      if (args.length === 0) return describeSettings(current);
+
+      const { settings, error } = applySettingsArgs(args, current);
+      if (error) return error;
+      await saveSettings(env.KV, update.chatId, settings);
+      return `Saved.\n\n${describeSettings(settings)}`;
+    },
+  },
+  {
+    name: "link",
+    args: "[Linear name]",
+    description: "Link your Telegram account to your Linear user",
+    run: async (args, update, env, session) => {
+      // Admins can link someone else: /link <telegram id> <Linear name>
+      let target = session.user;
+      if (session.user.admin && /^\d+$/.test(args[0] || "")) {
+        const users = await getUsers(env);
+        if (!users[args[0]]) return `${args[0]} isn't on the allowlist.`;
+        target = { id: args[0], ...users[args[0]] };
+        args = args.slice(1);
+      }
+
+      const members = await fetchMembers(env.LINEAR_API_KEY, teamKeysOf(env));
+      if (args.length === 0) {
+        return `${describeUser(target)}\n\nLink with /link <name>. Team members: ${members.map((m) => m.name).join(", ")}`;
+      }
+
+      const member = matchMember(args.join(" "), members);
+      if (!member) {
+        return `No single Linear member matches "${args.join(" ")}". Team members: ${members.map((m) => m.name).join(", ")}`;
+      }
+      const user = await saveUser(env, target.id, { linearUserId: member.id, linearName: member.name });
+      return `Linked. ${describeUser(user)}`;
+    },
+  },
+  {
+    name: "users",
+    args: "",
+    description: "List who can use the bot",
+    admin: true,
+    run: async (args, update, env) => {
+      const users = await getUsers(env);
+      const lines = Object.entries(users).map(([id, user]) => `- ${describeUser({ id, ...user })}`);
+      return [`USERS (${lines.length}):`, ...lines, "", "/allow <telegram id> <name> adds someone."].join("\n");
+    },
+  },
+  {
+    name: "allow",
+    args: "<telegram id> <name>",
+    description: "Let someone use the bot",
+    admin: true,
+    run: async ([id, ...name], update, env) => {
+      if (!/^\d+$/.test(id || "") || name.length === 0) {
+        return "Usage: /allow 123456789 Jane Doe (they can get their id by sending me /start)";
+      }
+      const fullName = name.join(" ");
+      // Link them to Linear right away if their name is unambiguous
+      const members = await fetchMembers(env.LINEAR_API_KEY, teamKeysOf(env));
+      const member = matchMember(fullName, members);
+      const user = await saveUser(env, id, {
+        name: fullName,
+        ...(member && { linearUserId: member.id, linearName: member.name }),
+      });
+
+      // Their briefings should address them, not the default owner
+      const settings = await getSettings(env, id);
+      if (settings.ownerName === DEFAULT_SETTINGS.ownerName) {
+        await saveSettings(env.KV, id, { ...settings, ownerName: fullName });
+      }
+
+      const link = member ? "" : `\nCouldn't match a Linear member — they can run /link <their Linear name>.`;
+      return `Allowed. ${describeUser(user)}${link}`;
+    },
+  },
+  {
+    name: "admin",
+    args: "<telegram id>",
+    description: "Make an allowed user an admin",
+    admin: true,
+    run: async ([id], update, env) => {
+      const users = await getUsers(env);
+      if (!users[id]) return `${id || "That"} isn't on the allowlist. /allow them first.`;
+      const user = await saveUser(env, id, { admin: true });
+      return `Done. ${describeUser(user)}`;
+    },
+  },
+  {
+    name: "revoke",
+    args: "<telegram id>",
+    description: "Remove someone's access",
+    admin: true,
+    run: async ([id], update, env) => {
+      if (!id) return "Usage: /revoke 123456789";
+      const removed = await removeUser(env, id);
+      if (!removed) return `${id} isn't on the allowlist (or is the owner, who can't be removed).`;
+      return `Removed ${removed.name || id}. Their messages will be ignored from now on.`;
+    },
+  },
+  {
+    name: "undo",
+    args: "[N]",
+    description: "Revert the last N changes I made in Linear for you",
+    run: async ([n], update, env) => {
+      const count = Math.min(Math.max(parseInt(n, 10) || 1, 1), 20);
+      const lines = await undoLast(env.KV, env.LINEAR_API_KEY, update, count);
+      return lines.length ? lines.join("\n") : "Nothing to undo.";
+    },
+  },
+  {
+    name: "clear",
+    args: "",
+    description: "Reset conversation history",
+    run: async (args, update, env, session) => {
+      await session.history.clear();
+      return "Conversation history cleared. Fresh start.";
+    },
+  },
+  {
+    name: "help",
+    args: "",
+    description: "Show available commands",
+    run: async (args, update, env) => {
+      // Keep Telegram's autocomplete in sync whenever someone looks at the list
+      await setMyCommands(env.TELEGRAM_BOT_TOKEN, telegramCommandList());
+      return helpText();
+    },
+  },
+];
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Dispatch a "/command args..." message and send the reply.
+ */
+export async function handleCommand(update, env, session) {
+  const [head, ...args] = update.text.trim().split(/\s+/);
+  // Telegram appends "@botname" to commands picked from a group menu
+  const name = head.slice(1).split("@")[0].toLowerCase();
+  const command = COMMANDS.find((c) => c.name === name);
+
+  let reply;
+  if (!command) {
+    reply = `Unknown command: /${name}\n\nTry /help for available commands, or just text me naturally.`;
+  } else if (command.admin && !session.user.admin) {
+    reply = `/${name} is for admins only.`;
+  } else {
+    reply = await command.run(args, update, env, session);
+  }
+
+  if (reply) await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, reply);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+function helpText() {
+  return [
+    "COMMANDS:",
+    ...COMMANDS.map(
+      (c) => `/${c.name}${c.args ? ` ${c.args}` : ""} — ${c.description}${c.admin ? " (admin)" : ""}`
+    ),
+    "",
+    "Or just text me naturally:",
+    '- "Add a blocked label to YAK-15"',
+    '- "Create a task: fix login bug, high priority"',
+    '- "Create a new project called Client Portal"',
+    '- "What should I work on today?"',
+  ].join("\n");
+}
+
+function telegramCommandList() {
+  return COMMANDS.map((c) => ({ command: c.name, description: c.description }));
+}
+
+/**
+ * Linear assignee filter for "my issues": the linked member, or for an
+ * unlinked owner the API key's account. Null if the user hasn't linked.
+ */
+function myIssuesFilter(user) {
+  if (user.linearUserId) return { id: { eq: user.linearUserId } };
+  if (user.owner) return { isMe: { eq: true } };
+  return null;
+}
+
+function activeFilter(env) {
+  return {
+    team: { key: { in: teamKeysOf(env) } },
+    state: { type: { in: ACTIVE_STATE_TYPES } },
+  };
+}
+
+/**
+ * Run a tool handler with a minimal context — just what the command needs.
+ * Going through executeTool keeps deterministic changes in the /undo journal,
+ * and its identifier lookup falls back to Linear when ctx.issues is empty.
+ */
+function runTool(env, update, toolName, input, extra = {}) {
+  const ctx = {
+    apiKey: env.LINEAR_API_KEY,
+    kv: env.KV,
+    chatId: update.chatId,
+    userId: update.userId,
+    messageId: update.messageId,
+    teamKey: teamKeysOf(env)[0],
+    issues: [],
+    states: [],
+    labels: [],
+    projects: [],
+    members: [],
+    ...extra,
+  };
+  return executeTool(toolName, input, ctx);
+}
+
+async function moveToStateType(args, update, env, stateType) {
+  const [identifier] = args;
+  if (!identifier) return `Usage: /${stateType === "completed" ? "done" : "start"} YAK-42`;
+
+  // Each team has its own workflow; the identifier says which one
+  const teamKey = teamKeyOfIdentifier(identifier);
+  const states = await fetchWorkflowStates(env.LINEAR_API_KEY, teamKey);
+  const state = stateOfType(states, stateType);
+  if (!state) return `No "${stateType}" workflow state found for team ${teamKey}.`;
+
+  const result = await runTool(
+    env,
+    update,
+    "update_issue_status",
+    { issue_identifier: identifier, status: state.name },
+    { states }
+  );
+  return result.error || `${result.issue} → ${result.new_status} (${result.title})`;
+}
+
+function sortByUrgency(issues) {
+  // Linear priority 0 means "none", so it sorts last
+  const rank = (i) => (i.priority === 0 ? 5 : i.priority);
+  return [...issues].sort(
+    (a, b) => rank(a) - rank(b) || (a.dueDate || "9999").localeCompare(b.dueDate || "9999")
+  );
+}
+
+function formatIssueLine(i) {
+  const meta = [i.state?.name, i.priority ? i.priorityLabel : null, i.dueDate ? `due ${i.dueDate}` : null]
+    .filter(Boolean)
+    .join(", ");
+  return `- ${i.identifier} ${i.title} — ${meta}`;
+}
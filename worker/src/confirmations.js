@@ -0,0 +1,168 @@
+// ─── Confirmations for Risky / Bulk Agent Actions ─────────────────
+//
+// When a turn's tool calls look risky, the agent parks the mutating ones
+// in KV and sends an Approve/Cancel keyboard instead of executing them.
+// Lookups always run straight away. A callback_query on one of those
+// buttons picks the parked calls back up.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { matchIssues } from "./tools.js";
+
+const PENDING_PREFIX = "pending_action:";
+const PENDING_TTL = 15 * 60; // seconds — stale approvals just expire
+const DEFAULT_THRESHOLD = 3; // more issues than this in one turn needs a yes
+
+const PRIORITY_NAMES = ["No priority", "Urgent", "High", "Medium", "Low"];
+
+// Tools that only look things up — never parked, never counted
+const READ_ONLY_TOOLS = new Set([
+  "get_issue",
+  "search_issues",
+  "list_issues",
+  "list_recurring_issues",
+  "list_reminders",
+]);
+
+// ─── Risk Assessment ──────────────────────────────────────────────
+
+/**
+ * True if the call changes nothing (a lookup, or a bulk update preview).
+ */
+export function isReadOnly(call) {
+  if (READ_ONLY_TOOLS.has(call.name)) return true;
+  return call.name === "bulk_update_issues" && call.input.preview !== false;
+}
+
+/**
+ * Return a list of human-readable reasons these tool calls need approval.
+ * Empty list means they're safe to run immediately.
+ *
+ * @param {Array}  calls     - tool_use blocks from one Claude response: { name, input }
+ * @param {object} ctx       - Linear context (needs issues + viewer)
+ * @param {number} threshold - max distinct issues one turn may touch unconfirmed
+ * @param {Set}    touched   - issues the turn's earlier responses changed; added to in place
+ */
+export function assessRisk(calls, ctx, threshold = DEFAULT_THRESHOLD, touched = new Set()) {
+  const reasons = [];
+
+  for (const call of calls) {
+    if (isReadOnly(call)) continue;
+
+    const identifier = call.input.issue_identifier?.toUpperCase();
+    if (identifier) touched.add(identifier);
+
+    if (call.name === "bulk_update_issues") {
+      for (const issue of matchIssues(call.input.filter, ctx.issues)) {
+        touched.add(issue.identifier);
+      }
+    }
+
+    if (call.name === "create_project") {
+      reasons.push(`creates project "${call.input.name}"`);
+    }
+
+    if (call.name === "assign_issue") {
+      const issue = ctx.issues.find((i) => i.identifier === identifier);
+      const current = issue?.assignee;
+      if (!issue) {
+        // Fetched from Linear when run (e.g. a closed issue), so whose it is
+        // can't be checked here
+        reasons.push(`reassigns ${identifier}, which isn't an active issue`);
+      } else if (current && current.id !== ctx.viewer?.id) {
+        reasons.push(`reassigns ${identifier} away from ${current.name}`);
+      }
+    }
+  }
+
+  if (touched.size > threshold) {
+    reasons.push(`changes ${touched.size} issues at once`);
+  }
+
+  return reasons;
+}
+
+/**
+ * One-line description of a tool call for the approval prompt.
+ */
+export function describeCall(call) {
+  const input = call.input;
+  const id = input.issue_identifier?.toUpperCase();
+  switch (call.name) {
+    case "update_issue_status":
+      return `Move ${id} to ${input.status}`;
+    case "update_issue_priority":
+      return `Set ${id} priority to ${PRIORITY_NAMES[input.priority] || input.priority}`;
+    case "add_comment":
+      return `Comment on ${id}: "${input.comment.substring(0, 60)}"`;
+    case "add_label":
+      return `Label ${id} "${input.label_name}"`;
+    case "create_issue":
+      return `Create issue "${input.title}"`;
+    case "create_project":
+      return `Create project "${input.name}"`;
+    case "assign_issue":
+      return `Assign ${id} to ${input.assignee_name}`;
+    case "update_due_date":
+      return `Set ${id} due date to ${input.due_date || "none"}`;
+    case "bulk_update_issues": {
+      const changes = Object.entries(input.action || {})
+        .map(([field, value]) => `${field} ${value === "" ? "cleared" : value}`)
+        .join(", ");
+      return `Bulk update issues matching ${JSON.stringify(input.filter)}: ${changes}`;
+    }
+    default:
+      return `${call.name} ${JSON.stringify(input)}`;
+  }
+}
+
+// ─── Pending Action Store (KV, with expiry) ───────────────────────
+
+/**
+ * Park tool calls until the user taps Approve. `messageId` and `userId`
+ * are the request they came from and who sent it. Returns the pending id.
+ */
+export async function parkCalls(kv, calls, { messageId, userId }) {
+  const id = crypto.randomUUID();
+  await kv.put(
+    PENDING_PREFIX + id,
+    JSON.stringify({
+      calls: calls.map(({ name, input }) => ({ name, input })),
+      messageId, // the request they came from, so an edit can undo them once approved
+      userId, // who asked — only they (or an admin) may approve, and it runs as them
+      createdAt: new Date().toISOString(),
+    }),
+    { expirationTtl: PENDING_TTL }
+  );
+  return id;
+}
+
+/**
+ * Parked calls without taking them, to check who may answer. Null if the
+ * id is unknown or expired.
+ */
+export async function getParked(kv, id) {
+  return kv.get(PENDING_PREFIX + id, "json");
+}
+
+/**
+ * Fetch and delete parked calls in one go, so a double-tap can't run them twice.
+ * Returns null if the id is unknown or expired.
+ */
+export async function takeParked(kv, id) {
+  const key = PENDING_PREFIX + id;
+  const pending = await kv.get(key, "json");
+  if (pending) await kv.delete(key);
+  return pending;
+}
+
+export function confirmationKeyboard(id) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "Approve", callback_data: `approve:${id}` },
+        { text: "Cancel", callback_data: `cancel:${id}` },
+      ],
+    ],
+  };
+}
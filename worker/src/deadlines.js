@@ -0,0 +1,266 @@
+// ─── Deadline Alerts ──────────────────────────────────────────────
+//
+// Between briefings, the cron watches due dates and pings each user once
+// per issue and kind of alert:
+//
+//   soon    — its due date starts within `soonHours` and it's not started
+//             (with the default 24, the day before: "due tomorrow")
+//   today   — due today and not done, once it's past `todayAt` locally
+//   overdue — went past its due date yesterday and is still open
+//
+// Dates are in the user's /schedule timezone. The owner hears about every
+// issue; everyone else about the issues assigned to their linked Linear
+// user. Nothing goes out during quiet hours — alerts that still apply are
+// sent when they end.
+//
+// Defaults come from env (DEADLINE_ALERTS, DEADLINE_SOON_HOURS,
+// DEADLINE_TODAY_AT, DEADLINE_QUIET_HOURS); /alerts overrides them per
+// chat under `deadline_alerts:<chatId>`. What's been sent is recorded in
+// `deadline_sent:<chatId>` by kind, issue and due date, so moving a due
+// date re-arms its alerts.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { fetchActiveIssues } from "./linear.js";
+import { sendMessage } from "./telegram.js";
+import { getSchedule, parseTime, timeToMinutes } from "./schedule.js";
+import { getUsers } from "./users.js";
+import { teamKeysOf } from "./teams.js";
+import { daysBetween, formatDate, localClock, zonedTime } from "./time.js";
+
+const CONFIG_PREFIX = "deadline_alerts:";
+const SENT_PREFIX = "deadline_sent:";
+const SENT_KEEP_DAYS = 14; // sent records older than this are dropped
+const ALERT_KINDS = ["soon", "today", "overdue"];
+const NOT_STARTED = ["backlog", "unstarted"];
+
+const HEADINGS = {
+  soon: "Coming up, not started:",
+  today: "Due today, not done:",
+  overdue: "Now overdue:",
+};
+
+// ─── Config ───────────────────────────────────────────────────────
+
+/**
+ * The default alert config from env vars.
+ */
+export function defaultAlertConfig(env) {
+  const kinds = (env.DEADLINE_ALERTS || ALERT_KINDS.join(","))
+    .split(",")
+    .map((k) => k.trim().toLowerCase())
+    .filter((k) => ALERT_KINDS.includes(k));
+  return {
+    enabled: env.DEADLINE_ALERTS !== "off",
+    kinds,
+    soonHours: Number(env.DEADLINE_SOON_HOURS) || 24,
+    todayAt: parseTime(env.DEADLINE_TODAY_AT || "") || "14:00",
+    quiet: parseQuiet(env.DEADLINE_QUIET_HOURS || "21:00-07:00"),
+  };
+}
+
+export async function getAlertConfig(env, chatId) {
+  let stored = null;
+  try {
+    stored = await env.KV.get(CONFIG_PREFIX + chatId, "json");
+  } catch {
+    stored = null;
+  }
+  return { ...defaultAlertConfig(env), ...stored };
+}
+
+/**
+ * Persist the fields that differ from defaultAlertConfig(env); the rest
+ * keep following the env vars.
+ */
+export async function saveAlertConfig(env, chatId, config) {
+  const defaults = defaultAlertConfig(env);
+  const overrides = Object.fromEntries(
+    Object.entries(config).filter(
+      ([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key])
+    )
+  );
+  await env.KV.put(CONFIG_PREFIX + chatId, JSON.stringify(overrides));
+}
+
+/**
+ * Apply "/alerts <key> <value>" to `current`. Returns { config } or { error }.
+ *
+ *   on | off
+ *   kinds soon,today,overdue
+ *   soon <hours>
+ *   today <time>
+ *   quiet <21:00-07:00> | quiet off
+ */
+export function parseAlertArgs(args, current) {
+  const [rawKey, ...rest] = args;
+  const key = rawKey.toLowerCase();
+  const value = rest.join(" ").trim().toLowerCase();
+
+  if (key === "on" || key === "off") return { config: { ...current, enabled: key === "on" } };
+  if (!value) return { error: `/alerts ${key} needs a value.` };
+
+  if (key === "kinds") {
+    const kinds = value.split(/[\s,]+/).filter(Boolean);
+    const unknown = kinds.filter((k) => !ALERT_KINDS.includes(k));
+    if (unknown.length > 0) return { error: `Unknown alert kind(s): ${unknown.join(", ")}. Kinds: ${ALERT_KINDS.join(", ")}.` };
+    return { config: { ...current, kinds: [...new Set(kinds)] } };
+  }
+
+  if (key === "soon") {
+    const hours = Number(value.replace(/h$/, ""));
+    if (!Number.isInteger(hours) || hours < 1 || hours > 168) return { error: "soon takes a number of hours, 1 to 168." };
+    return { config: { ...current, soonHours: hours } };
+  }
+
+  if (key === "today") {
+    const time = parseTime(value);
+    if (!time) return { error: `Didn't understand "${value}" as a time (e.g. 14:00 or 2pm).` };
+    return { config: { ...current, todayAt: time } };
+  }
+
+  if (key === "quiet") {
+    if (value === "off") return { config: { ...current, quiet: null } };
+    const quiet = parseQuiet(value);
+    if (!quiet) return { error: "quiet takes a range like 21:00-07:00 (or off)." };
+    return { config: { ...current, quiet } };
+  }
+
+  return { error: `No alert setting called "${key}". /alerts lists them.` };
+}
+
+export function describeAlertConfig(config, timezone) {
+  if (!config.enabled) return "Deadline alerts are off. /alerts on turns them back on.";
+  const kinds = config.kinds.map((kind) => {
+    if (kind === "soon") return `due within ${config.soonHours}h and not started`;
+    if (kind === "today") return `due today and not done (from ${config.todayAt})`;
+    return "newly overdue";
+  });
+  return [
+    `Deadline alerts (${timezone}): ${kinds.join("; ") || "none selected"}.`,
+    config.quiet ? `Quiet hours ${config.quiet.start}-${config.quiet.end}.` : "No quiet hours.",
+    "",
+    "Change with /alerts on|off, /alerts kinds soon,today,overdue, /alerts soon 24, /alerts today 2pm, /alerts quiet 21:00-07:00|off",
+  ].join("\n");
+}
+
+// ─── Cron Run ─────────────────────────────────────────────────────
+
+/**
+ * Send whatever deadline alerts are due. Runs on every cron tick; only
+ * fetches from Linear if some chat is listening right now.
+ */
+export async function runDeadlineAlerts(env, now = new Date()) {
+  const users = await getUsers(env);
+  const listening = [];
+  for (const [chatId, user] of Object.entries(users)) {
+    if (!user.owner && !user.linearUserId) continue; // nothing of theirs to watch
+    const [config, { timezone }] = await Promise.all([getAlertConfig(env, chatId), getSchedule(env, chatId)]);
+    const clock = localClock(now, timezone);
+    if (!config.enabled || config.kinds.length === 0 || isQuiet(config.quiet, clock.minutes)) continue;
+    listening.push({ chatId, user, config, timezone, clock });
+  }
+  if (listening.length === 0) return;
+
+  const issues = await fetchActiveIssues(env.LINEAR_API_KEY, teamKeysOf(env), {
+    maxItems: Number(env.LINEAR_MAX_ITEMS) || undefined,
+  });
+  const dated = issues.filter((i) => i.dueDate);
+
+  // One chat's failure shouldn't hold up the rest
+  await Promise.all(
+    listening.map((chat) =>
+      alertChat(env, chat, dated, now).catch((err) =>
+        console.error(`[Deadlines] Alerts for ${chat.chatId} failed:`, err)
+      )
+    )
+  );
+}
+
+async function alertChat(env, { chatId, user, config, timezone, clock }, issues, now) {
+  const mine = user.owner ? issues : issues.filter((i) => i.assignee?.id === user.linearUserId);
+  const sent = await readSent(env.KV, chatId, clock.date);
+
+  const alerts = [];
+  for (const issue of mine) {
+    const kind = alertKind(issue, config, timezone, clock, now);
+    const key = `${kind}:${issue.identifier}:${issue.dueDate}`;
+    if (kind && !sent[key]) {
+      alerts.push({ kind, issue });
+      sent[key] = clock.date;
+    }
+  }
+  if (alerts.length === 0) return;
+
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, renderAlerts(alerts, clock.date, user.owner));
+  await env.KV.put(SENT_PREFIX + chatId, JSON.stringify(sent));
+}
+
+/**
+ * The one alert an issue is due for right now — the most urgent kind that
+ * applies and is switched on — or null.
+ */
+function alertKind(issue, config, timezone, clock, now) {
+  const overdueDays = daysBetween(issue.dueDate, clock.date);
+  if (overdueDays === 1 && config.kinds.includes("overdue")) return "overdue";
+  if (overdueDays === 0 && clock.minutes >= timeToMinutes(config.todayAt) && config.kinds.includes("today")) {
+    return "today";
+  }
+
+  const hoursLeft = (zonedTime(issue.dueDate, 0, timezone) - now) / (60 * 60 * 1000);
+  if (hoursLeft > 0 && hoursLeft <= config.soonHours && NOT_STARTED.includes(issue.state?.type) && config.kinds.includes("soon")) {
+    return "soon";
+  }
+  return null;
+}
+
+function renderAlerts(alerts, today, showAssignee) {
+  const lines = ["DEADLINES"];
+  for (const kind of ALERT_KINDS) {
+    const ofKind = alerts.filter((a) => a.kind === kind);
+    if (ofKind.length === 0) continue;
+    lines.push("", HEADINGS[kind]);
+    for (const { issue } of ofKind) {
+      const details = [
+        describeDue(issue.dueDate, today),
+        issue.state?.name,
+        showAssignee && (issue.assignee?.name || "unassigned"),
+      ].filter(Boolean);
+      lines.push(`- ${issue.identifier} "${issue.title}" — ${details.join(" · ")}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Relative to `today`; due dates are plain dates, so formatted in UTC
+function describeDue(dueDate, today) {
+  const days = daysBetween(today, dueDate);
+  if (days === 0) return "due today";
+  if (days === 1) return "due tomorrow";
+  if (days === -1) return "was due yesterday";
+  return `due ${formatDate(new Date(Date.parse(dueDate)), "UTC", { weekday: "short", month: "short", day: "numeric" })}`;
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+// "21:00-07:00" → { start, end }, or null
+function parseQuiet(text) {
+  const [start, end] = text.split("-").map((t) => parseTime(t.trim()));
+  return start && end && start !== end ? { start, end } : null;
+}
+
+// Quiet ranges can wrap past midnight
+function isQuiet(quiet, minutes) {
+  if (!quiet) return false;
+  const start = timeToMinutes(quiet.start);
+  const end = timeToMinutes(quiet.end);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// A chat's sent alerts, minus any older than SENT_KEEP_DAYS
+async function readSent(kv, chatId, today) {
+  const sent = (await kv.get(SENT_PREFIX + chatId, "json").catch(() => null)) || {};
+  return Object.fromEntries(
+    Object.entries(sent).filter(([, date]) => daysBetween(date, today) <= SENT_KEEP_DAYS)
+  );
+}
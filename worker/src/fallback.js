@@ -0,0 +1,140 @@
+// ─── Fallback Briefing (no LLM) ───────────────────────────────────
+//
+// Deterministic stand-in for the Claude briefing, used when the model
+// call fails or times out. Shared by the Worker and the standalone script.
+// Buckets issues into the chat's sections (default layout below) from
+// priority, due date, state and labels:
+//
+//   TOP PRIORITY      — overdue, due today, or Urgent
+//   THIS WEEK         — due in the next 7 days, in progress, or High (by project)
+//   BLOCKED / WAITING — "blocked"/"waiting" label or state
+//   LOW PRIORITY      — everything else
+//
+// Issues whose bucket the layout leaves out land in the next one that fits.
+// Custom sections need Claude, so they're listed empty.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { BRIEFING_SECTIONS, briefingTitle } from "./report.js";
+import { DEFAULT_TIMEZONE, addDays, daysBetween, localDate } from "./time.js";
+
+const WEEK_AHEAD_DAYS = 7;
+const MAX_LOW_PRIORITY_ITEMS = 5;
+
+export const FALLBACK_HEADER =
+  "[FALLBACK BRIEFING — Claude was unavailable, so this was built from rules. It'll be back to normal next run.]";
+
+const EMPTY_NOTES = {
+  top: "Nothing overdue, due today, or urgent.",
+  week: "Nothing scheduled for the week.",
+  blocked: "Nothing flagged as blocked.",
+  low: "Nothing else on the board.",
+};
+const CUSTOM_NOTE = "Not filled in without Claude.";
+
+/**
+ * Build a briefing document (see report.js) from issues in GraphQL shape,
+ * laid out as `sections` (the chat's /settings layout). "Today" is the
+ * calendar date in `timezone`.
+ */
+export function buildFallbackBriefing(
+  issues,
+  now = new Date(),
+  timezone = DEFAULT_TIMEZONE,
+  sections = BRIEFING_SECTIONS
+) {
+  const today = localDate(now, timezone);
+  const weekAhead = addDays(today, WEEK_AHEAD_DAYS);
+  const shown = new Set(sections.map((def) => def.id));
+
+  const buckets = { top: [], week: [], blocked: [], low: [] };
+  for (const issue of issues) {
+    buckets[bucketFor(issue, today, weekAhead, shown)].push(issue);
+  }
+
+  const byUrgency = (a, b) =>
+    (a.dueDate || "9999").localeCompare(b.dueDate || "9999") ||
+    rank(a.priority) - rank(b.priority);
+
+  const layout = sections.map((def) => {
+    if (!buckets[def.id]) {
+      return { id: def.id, title: def.title, grouped: def.grouped || false, items: [], summary: CUSTOM_NOTE };
+    }
+    const sorted = buckets[def.id].sort(byUrgency);
+    const listed = def.id === "low" ? sorted.slice(0, MAX_LOW_PRIORITY_ITEMS) : sorted;
+    const section = {
+      id: def.id,
+      title: def.title,
+      grouped: def.grouped || false,
+      items: listed.map((issue) => ({
+        identifier: issue.identifier,
+        title: issue.title,
+        url: issue.url,
+        project: issue.project?.name,
+        group: def.grouped ? issue.project?.name || "No Project" : undefined,
+        reason: def.id === "blocked" ? issue.state?.name || "?" : dueNote(issue, today),
+      })),
+    };
+    if (sorted.length === 0) section.summary = EMPTY_NOTES[def.id];
+    if (sorted.length > listed.length) {
+      const rest = groupByProject(sorted.slice(listed.length))
+        .map(([project, group]) => `${project} ${group.length}`)
+        .join(", ");
+      section.notes = [`...plus ${sorted.length - listed.length} more (${rest})`];
+    }
+    return section;
+  });
+
+  return { title: briefingTitle(now, timezone), banners: [FALLBACK_HEADER], sections: layout, actions: [] };
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+// The first bucket in `shown` whose rule matches; "low" takes the rest
+// (and drops them if the layout has no "low")
+function bucketFor(issue, today, weekAhead, shown) {
+  const blockedPattern = /block|waiting/i;
+  if (
+    shown.has("blocked") &&
+    (blockedPattern.test(issue.state?.name || "") ||
+      issue.labels?.nodes?.some((l) => blockedPattern.test(l.name)))
+  ) {
+    return "blocked";
+  }
+  if (shown.has("top") && ((issue.dueDate && issue.dueDate <= today) || issue.priority === 1)) return "top";
+  if (
+    shown.has("week") &&
+    ((issue.dueDate && issue.dueDate <= weekAhead) ||
+      issue.state?.type === "started" ||
+      issue.priority === 1 || // Urgent, when there's no "top"
+      issue.priority === 2)
+  ) {
+    return "week";
+  }
+  return "low";
+}
+
+function groupByProject(issues) {
+  const groups = new Map();
+  for (const issue of issues) {
+    const project = issue.project?.name || "No Project";
+    if (!groups.has(project)) groups.set(project, []);
+    groups.get(project).push(issue);
+  }
+  return [...groups.entries()];
+}
+
+function dueNote(issue, today) {
+  if (!issue.dueDate) return issue.priority === 1 ? "Urgent" : undefined;
+  if (issue.dueDate < today) {
+    const late = daysBetween(issue.dueDate, today);
+    return `OVERDUE ${late}d`;
+  }
+  if (issue.dueDate === today) return "due TODAY";
+  return `due ${issue.dueDate}`;
+}
+
+// Linear priority 0 is "none", which ranks below Low (4)
+function rank(priority) {
+  return priority === 0 || priority === undefined ? 5 : priority;
+}
@@ -0,0 +1,134 @@
+// ─── Shared HTTP Client ───────────────────────────────────────────
+//
+// One fetch wrapper for Linear, Anthropic and Telegram (Worker and
+// script alike):
+//
+//   - per-attempt timeout (AbortSignal.timeout)
+//   - bounded exponential backoff with full jitter
+//   - honors Retry-After headers and API-specific hints (Telegram's
+//     `retry_after`, Linear's RATELIMITED error) via `checkBody`
+//   - only retries what's worth retrying: network errors, timeouts, 408,
+//     429 and 5xx (including Anthropic's 529 "overloaded")
+//
+// Non-idempotent calls (`idempotent: false`, e.g. Linear mutations and
+// Telegram sends) are only retried when the request was rejected outright
+// by a rate limit, so a timeout can never create the same issue twice.
+//
+// ───────────────────────────────────────────────────────────────────
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 30000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+// A longer Retry-After than this isn't worth waiting out inside a Worker
+const MAX_RETRY_AFTER_MS = 30000;
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+export class HttpError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, retryable?: boolean, rateLimited?: boolean, retryAfterMs?: number }} info
+   */
+  constructor(message, { status, retryable = false, rateLimited = false, retryAfterMs } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.retryable = retryable;
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * fetch() a JSON API with retries. Returns the parsed body (or null if it
+ * isn't JSON); throws an HttpError once retries are exhausted or on a
+ * fatal error.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {object} opts
+ * @param {string} [opts.label] — prefix for error messages and logs
+ * @param {number} [opts.retries] — retries after the first attempt
+ * @param {number} [opts.timeoutMs] — per attempt
+ * @param {boolean} [opts.idempotent] — false: retry rate limits only
+ * @param {(body: any, res: Response) => HttpError|null} [opts.checkBody] —
+ *   inspect the parsed body for API-level errors; runs before the status check
+ */
+export async function requestJson(url, init = {}, opts = {}) {
+  const {
+    label = "HTTP",
+    retries = DEFAULT_RETRIES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    idempotent = true,
+    checkBody,
+  } = opts;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const res = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      const text = await res.text();
+      const body = parseJson(text);
+      error = checkBody?.(body, res) || (res.ok ? null : statusError(label, res, text));
+      if (!error) return body;
+    } catch (err) {
+      error = networkError(label, err, timeoutMs);
+    }
+
+    const canRetry = error.retryable && (idempotent || error.rateLimited);
+    const tooLong = error.retryAfterMs > MAX_RETRY_AFTER_MS;
+    if (!canRetry || tooLong || attempt >= retries) throw error;
+
+    const delay = backoffDelay(attempt, error.retryAfterMs);
+    console.warn(`[HTTP] ${error.message} — retry ${attempt + 1}/${retries} in ${delay}ms`);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Milliseconds from a Retry-After header (delta-seconds or HTTP date).
+ */
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? undefined : Math.max(0, at - Date.now());
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+function statusError(label, res, text) {
+  return new HttpError(`${label} ${res.status}: ${text.slice(0, 500) || res.statusText}`, {
+    status: res.status,
+    retryable: RETRYABLE_STATUSES.has(res.status),
+    rateLimited: res.status === 429,
+    retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+  });
+}
+
+function networkError(label, err, timeoutMs) {
+  if (err instanceof HttpError) return err;
+  if (err.name === "TimeoutError" || err.name === "AbortError") {
+    return new HttpError(`${label} timed out after ${timeoutMs}ms`, { retryable: true });
+  }
+  // fetch() rejects with a TypeError when the connection itself fails
+  return new HttpError(`${label} request failed: ${err.message}`, { retryable: err instanceof TypeError });
+}
+
+// Full jitter: random in [0, base * 2^attempt], capped — but never sooner
+// than the server asked for
+function backoffDelay(attempt, retryAfterMs) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  const jittered = Math.round(Math.random() * ceiling);
+  return retryAfterMs !== undefined ? Math.round(retryAfterMs + jittered / 4) : jittered;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
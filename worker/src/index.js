@@ -1,22 +1,41 @@
 // ─── YakDev Agent — Cloudflare Worker Entry Point ─────────────────
 //
-// Handles two things:
-//   1. Telegram webhook (POST /webhook) — two-way agent conversation
-//   2. Cron trigger (scheduled)        — daily briefing via Telegram
+// Handles three things:
+//   1. Telegram webhook (POST /webhook)      — two-way agent conversation
+//   2. Linear webhook (POST /linear-webhook) — real-time issue notifications
+//   3. Cron trigger (scheduled, every 15 min) — daily briefing, evening
+//      check-in and weekly review for each user whose /schedule (/checkin,
+//      /review) says it's due, recurring issues and deadline alerts
+//
+// Only users on the allowlist (users.js) get through. Telegram updates, the
+// briefing and the check-in are processed inside the chat's ChatSession Durable Object
+// (session.js).
 //
 // ───────────────────────────────────────────────────────────────────
 
-import { parseUpdate, sendMessage, sendTyping } from "./telegram.js";
-import { runAgent } from "./agent.js";
-import { handleDailyBriefing } from "./briefing.js";
+import { parseUpdate, sendMessage } from "./telegram.js";
+import { handleLinearWebhook } from "./notifications.js";
+import { claimUpdate } from "./updates.js";
+import { chatSession } from "./session.js";
 import {
-  fetchActiveIssues,
-  fetchWorkflowStates,
-  fetchLabels,
-  fetchTeamId,
-  fetchProjects,
-  fetchMembers,
-} from "./linear.js";
+  getSchedule,
+  isDue,
+  isCheckinDue,
+  isReviewDue,
+  markBriefingSent,
+  markBriefingFailed,
+  markCheckinSent,
+  markCheckinFailed,
+  markReviewSent,
+} from "./schedule.js";
+import { handleWeeklyReview } from "./weekly.js";
+import { getUser, getUsers } from "./users.js";
+import { runRecurringRules } from "./recurring.js";
+import { runDeadlineAlerts } from "./deadlines.js";
+import { localDate } from "./time.js";
+
+// Durable Object classes must be exported from the entry module
+export { ChatSession } from "./session.js";
 
 export default {
   // ─── HTTP handler (Telegram webhook) ────────────────────────
@@ -38,19 +57,42 @@ export default {
 
       if (!update) return new Response("OK");
 
-      // Security: only respond to the configured chat
-      if (update.chatId !== env.TELEGRAM_CHAT_ID) {
-        console.log(`Ignoring message from unknown chat: ${update.chatId}`);
+      // Security: only respond to users on the allowlist
+      const user = await getUser(env, update.userId);
+      if (!user) {
+        console.log(`Ignoring update from unknown user: ${update.userId} (chat ${update.chatId})`);
+        // Tell a newcomer what to ask for; stay silent otherwise
+        if (update.type === "message" && update.text.startsWith("/start")) {
+          execCtx.waitUntil(
+            sendMessage(
+              env.TELEGRAM_BOT_TOKEN,
+              update.chatId,
+              `You're not on this bot's allowlist. Ask an admin to run:\n/allow ${update.userId} ${update.fullName}`
+            )
+          );
+        }
+        return new Response("OK");
+      }
+
+      // Drop redeliveries of an update we've already handled
+      if (!(await claimUpdate(env.KV, update.updateId))) {
+        console.log(`Ignoring duplicate update ${update.updateId}`);
         return new Response("OK");
       }
 
       // Return 200 immediately, process in background
-      // (Telegram retries if we don't respond within ~60s)
-      execCtx.waitUntil(processMessage(update, env));
+      // (Telegram retries if we don't respond within ~60s). The chat's
+      // session object queues updates so they run one at a time, in order.
+      execCtx.waitUntil(chatSession(env, update.chatId).handleUpdate(update, user));
 
       return new Response("OK");
     }
 
+    // Linear webhook endpoint (issue/comment events → Telegram)
+    if (url.pathname === "/linear-webhook" && request.method === "POST") {
+      return handleLinearWebhook(request, env, execCtx);
+    }
+
     // Setup helper: hitting the root shows a quick status page
     if (url.pathname === "/" && request.method === "GET") {
       return new Response(
@@ -64,119 +106,86 @@ export default {
     return new Response("Not found", { status: 404 });
   },
 
-  // ─── Cron handler (daily briefing) ──────────────────────────
+  // ─── Cron handler (briefings, check-ins, recurring, deadlines) ──
   async scheduled(event, env, execCtx) {
-    execCtx.waitUntil(handleDailyBriefing(env));
+    execCtx.waitUntil(
+      dispatchBriefing(env).catch((err) => console.error("[Briefing] Cron dispatch failed:", err))
+    );
+    execCtx.waitUntil(
+      runRecurringRules(env).catch((err) => console.error("[Recurring] Cron run failed:", err))
+    );
+    execCtx.waitUntil(
+      runDeadlineAlerts(env).catch((err) => console.error("[Deadlines] Cron run failed:", err))
+    );
   },
 };
 
-// ─── Message Processing ───────────────────────────────────────────
+/**
+ * Runs on every cron tick. Each user's briefing, evening check-in and
+ * weekly review go to their private chat once its local time reaches their
+ * schedule.
+ */
+async function dispatchBriefing(env, now = new Date()) {
+  const users = await getUsers(env);
+  // Each runs in its own session, so one slow or failing briefing doesn't hold up the rest
+  await Promise.allSettled(
+    Object.entries(users).map(async ([userId, user]) => {
+      const schedule = await getSchedule(env, userId);
+      // One after the other: both mark themselves sent in the same schedule record
+      await dispatchUserBriefing(env, userId, schedule, now);
+      await dispatchUserCheckin(env, { ...user, id: userId }, schedule, now);
+      await dispatchUserReview(env, userId, schedule, now);
+    })
+  );
+}
 
-async function processMessage(update, env) {
-  try {
-    // Handle commands
-    if (update.text.startsWith("/")) {
-      await handleCommand(update, env);
-      return;
-    }
+async function dispatchUserBriefing(env, chatId, schedule, now) {
+  if (!isDue(schedule, now)) return;
 
-    // Show typing indicator while we work
-    await sendTyping(env.TELEGRAM_BOT_TOKEN, update.chatId);
-
-    // Fetch all Linear context in parallel
-    const teamKey = env.LINEAR_TEAM_KEY || "YAK";
-    const [issues, states, labels, teamId, projects, members] =
-      await Promise.all([
-        fetchActiveIssues(env.LINEAR_API_KEY, teamKey),
-        fetchWorkflowStates(env.LINEAR_API_KEY, teamKey),
-        fetchLabels(env.LINEAR_API_KEY),
-        fetchTeamId(env.LINEAR_API_KEY, teamKey),
-        fetchProjects(env.LINEAR_API_KEY),
-        fetchMembers(env.LINEAR_API_KEY, teamKey),
-      ]);
-
-    const ctx = {
-      apiKey: env.LINEAR_API_KEY,
-      teamKey,
-      teamId,
-      issues,
-      states,
-      labels,
-      projects,
-      members,
-    };
-
-    // Run the Claude agent
-    const response = await runAgent(update.text, env, ctx);
-    await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, response);
+  // Mark it first so an overlapping tick can't send a second one
+  const today = localDate(now, schedule.timezone);
+  await markBriefingSent(env.KV, chatId, today);
+  try {
+    // Through the chat's session, so it can't interleave with a conversation
+    await chatSession(env, chatId).runBriefing({ chatId, timezone: schedule.timezone });
   } catch (err) {
-    console.error("Error processing message:", err);
-    await sendMessage(
-      env.TELEGRAM_BOT_TOKEN,
-      update.chatId,
-      `Something broke: ${err.message}\n\nTry again or check the Worker logs.`
-    );
+    // Unmarked so the next tick within MAX_LATE_MINUTES retries. Never fail
+    // silently, but say why only once rather than on every retry.
+    console.error("[Briefing] Cron run failed:", err);
+    await markBriefingFailed(env.KV, chatId, today);
+    if (schedule.briefingFailedDate !== today) {
+      await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, `Briefing failed: ${err.message}`);
+    }
   }
 }
 
-// ─── Bot Commands ─────────────────────────────────────────────────
-
-async function handleCommand(update, env) {
-  const cmd = update.text.split(" ")[0].toLowerCase();
+async function dispatchUserCheckin(env, user, schedule, now) {
+  if (!isCheckinDue(schedule, now)) return;
 
-  switch (cmd) {
-    case "/start":
-      await sendMessage(
-        env.TELEGRAM_BOT_TOKEN,
-        update.chatId,
-        `YakDev Agent is live.\n\nYour chat ID: ${update.chatId}\n\nJust text me like normal:\n- "Finished the auth flow, YAK-42 is done"\n- "Block YAK-15, waiting on client assets"\n- "Create a new task: set up staging environment"\n- "What's on my plate?"\n\nI'll handle the Linear updates for you.`
-      );
-      break;
+  const chatId = user.id;
+  const today = localDate(now, schedule.timezone);
+  await markCheckinSent(env.KV, chatId, today);
+  try {
+    await chatSession(env, chatId).runCheckin({ chatId, user, timezone: schedule.timezone });
+  } catch (err) {
+    // Retried and reported the same way as the briefing
+    console.error("[Checkin] Cron run failed:", err);
+    await markCheckinFailed(env.KV, chatId, today);
+    if (schedule.checkinFailedDate !== today) {
+      await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, `Check-in failed: ${err.message}`);
+    }
+  }
+}
 
-    case "/briefing":
-      await sendMessage(
-        env.TELEGRAM_BOT_TOKEN,
-        update.chatId,
-        "Generating your briefing..."
-      );
-      await handleDailyBriefing(env);
-      break;
-
-    case "/clear":
-      await env.KV.delete("conversation_history");
-      await sendMessage(
-        env.TELEGRAM_BOT_TOKEN,
-        update.chatId,
-        "Conversation history cleared. Fresh start."
-      );
-      break;
-
-    case "/help":
-      await sendMessage(
-        env.TELEGRAM_BOT_TOKEN,
-        update.chatId,
-        [
-          "COMMANDS:",
-          "/briefing — Get your daily briefing now",
-          "/clear — Reset conversation history",
-          "/help — This message",
-          "",
-          "Or just text me naturally:",
-          '- "Mark YAK-42 as done"',
-          '- "Add a blocked label to YAK-15"',
-          '- "Create a task: fix login bug, high priority"',
-          '- "Assign YAK-20 to Zach"',
-          '- "Create a new project called Client Portal"',
-          '- "What should I work on today?"',
-        ].join("\n")
-      );
-      break;
+async function dispatchUserReview(env, chatId, schedule, now) {
+  if (!isReviewDue(schedule, now)) return;
 
-    default:
-      await sendMessage(
-        env.TELEGRAM_BOT_TOKEN,
-        update.chatId,
-        `Unknown command: ${cmd}\n\nTry /help for available commands, or just text me naturally.`
-      );
+  await markReviewSent(env.KV, chatId, localDate(now, schedule.timezone));
+  try {
+    // Straight from here: it reads Linear and writes only its own KV keys
+    await handleWeeklyReview(env, { chatId, timezone: schedule.timezone });
+  } catch (err) {
+    console.error("[Review] Cron run failed:", err);
+    await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, `Weekly review failed: ${err.message}`);
   }
 }
@@ -0,0 +1,128 @@
+// ─── Mutation Journal (backs /undo) ───────────────────────────────
+//
+// Every tool call that changes Linear records one journal entry in KV.
+// An entry holds one or more ops, each with enough "before" state to
+// replay the inverse mutation. `before` on an update holds only the
+// fields that tool changed, in IssueUpdateInput shape:
+//
+//   { kind: "update",         issueId, identifier, before, summary }
+//   { kind: "create_issue",   issueId, identifier, summary }
+//   { kind: "create_comment", commentId, identifier, summary }
+//   { kind: "create_project", projectId, name, summary }
+//
+// Each chat has its own journal, `action_journal:<chatId>`, and entries
+// carry the Telegram user who made the change, so /undo only reverts the
+// caller's own changes — in a group chat too. Entries also carry the
+// Telegram messageId that caused them (when there is one; ids are only
+// unique within a chat), so editing that message can undo exactly its
+// changes.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import {
+  updateIssue,
+  archiveIssue,
+  deleteComment,
+  deleteProject,
+} from "./linear.js";
+
+const JOURNAL_KEY = "action_journal";
+const MAX_ENTRIES = 50;
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Append an entry for one tool call to `chatId`'s journal, made by
+ * `userId`. No-op when the call didn't mutate anything.
+ */
+export async function recordEntry(kv, tool, ops, { chatId, userId, messageId }) {
+  if (!kv || ops.length === 0) return;
+  const journal = await readJournal(kv, chatId);
+  journal.push({
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    tool,
+    userId,
+    messageId,
+    ops,
+  });
+  await kv.put(journalKey(chatId), JSON.stringify(journal.slice(-MAX_ENTRIES)));
+}
+
+/**
+ * Revert `userId`'s last `count` entries in `chatId`'s journal, newest first.
+ * Entries are removed from the journal whether or not the revert succeeds,
+ * so a permanently failing op can't wedge /undo.
+ *
+ * Returns one line per op describing what happened.
+ */
+export async function undoLast(kv, apiKey, { chatId, userId }, count = 1) {
+  const journal = await readJournal(kv, chatId);
+  const entries = journal.filter((e) => e.userId === userId).slice(-count).reverse();
+  if (entries.length === 0) return [];
+
+  await kv.put(journalKey(chatId), JSON.stringify(journal.filter((e) => !entries.includes(e))));
+  return revertEntries(apiKey, entries);
+}
+
+/**
+ * Revert every entry in `chatId`'s journal caused by one Telegram message,
+ * newest first. Same removal semantics and return value as undoLast.
+ */
+export async function undoMessage(kv, apiKey, chatId, messageId) {
+  const journal = await readJournal(kv, chatId);
+  const entries = journal.filter((e) => e.messageId === messageId).reverse();
+  if (entries.length === 0) return [];
+
+  await kv.put(journalKey(chatId), JSON.stringify(journal.filter((e) => e.messageId !== messageId)));
+  return revertEntries(apiKey, entries);
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+async function revertEntries(apiKey, entries) {
+  const lines = [];
+  for (const entry of entries) {
+    // Ops within an entry are reverted in reverse too (e.g. subtasks before their parent)
+    for (const op of [...entry.ops].reverse()) {
+      try {
+        await revertOp(apiKey, op);
+        lines.push(`Undid: ${op.summary}`);
+      } catch (err) {
+        lines.push(`Couldn't undo "${op.summary}": ${err.message}`);
+      }
+    }
+  }
+  return lines;
+}
+
+function journalKey(chatId) {
+  return `${JOURNAL_KEY}:${chatId}`;
+}
+
+async function readJournal(kv, chatId) {
+  try {
+    return (await kv.get(journalKey(chatId), "json")) || [];
+  } catch {
+    return [];
+  }
+}
+
+async function revertOp(apiKey, op) {
+  switch (op.kind) {
+    case "update":
+      await updateIssue(apiKey, op.issueId, op.before);
+      return;
+    case "create_issue":
+      await archiveIssue(apiKey, op.issueId);
+      return;
+    case "create_comment":
+      await deleteComment(apiKey, op.commentId);
+      return;
+    case "create_project":
+      await deleteProject(apiKey, op.projectId);
+      return;
+    default:
+      throw new Error(`Unknown journal op: ${op.kind}`);
+  }
+}
@@ -1,118 +1,314 @@
 // ─── Linear GraphQL API Layer ─────────────────────────────────────
+//
+// Used by the Worker and the standalone script alike (plain fetch, so it
+// runs on Workers and Node 20+ without the Linear SDK).
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { requestJson, HttpError, parseRetryAfter } from "./http.js";
 
 const LINEAR_API = "https://api.linear.app/graphql";
+const LINEAR_TIMEOUT_MS = 15000;
+const PAGE_SIZE = 100;
+export const DEFAULT_MAX_ITEMS = 1000; // ceiling for any one paginated list
+
+// Fields every issue query selects, so tools can treat results interchangeably
+const ISSUE_FIELDS = `
+  id identifier title description
+  priority priorityLabel dueDate
+  state { id name type }
+  team { id key name }
+  project { id name }
+  assignee { id name }
+  labels { nodes { id name } }
+  url createdAt updatedAt
+`;
 
 async function gql(apiKey, query, variables = {}) {
-  const res = await fetch(LINEAR_API, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: apiKey,
+  const json = await requestJson(
+    LINEAR_API,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: apiKey,
+      },
+      body: JSON.stringify({ query, variables }),
     },
-    body: JSON.stringify({ query, variables }),
+    {
+      label: "Linear API",
+      timeoutMs: LINEAR_TIMEOUT_MS,
+      // A mutation that timed out may still have gone through
+      idempotent: !query.trimStart().startsWith("mutation"),
+      checkBody: graphqlError,
+    }
+  );
+  return json.data;
+}
+
+// GraphQL errors come back with 200 (or 400) and an `errors` array;
+// RATELIMITED is the only one worth retrying
+function graphqlError(json, res) {
+  if (!json?.errors) return null;
+  const rateLimited = json.errors.some((e) => e.extensions?.code === "RATELIMITED");
+  return new HttpError(`Linear: ${json.errors.map((e) => e.message).join(", ")}`, {
+    status: res.status,
+    retryable: rateLimited,
+    rateLimited,
+    retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
   });
+}
 
-  if (!res.ok) {
-    throw new Error(`Linear API HTTP ${res.status}: ${res.statusText}`);
-  }
+/**
+ * Walk a GraphQL connection page by page until `hasNextPage` is false or
+ * `maxItems` nodes have been collected.
+ *
+ * The query must declare `$first: Int!` and `$after: String`, and select
+ * `pageInfo { hasNextPage endCursor }` on the connection found at `path`
+ * (dot-separated, e.g. "teams.nodes.0.members").
+ *
+ * Returns the collected nodes. When the ceiling cuts the walk short the
+ * array is flagged with `truncated = true` so callers can warn about it.
+ */
+async function paginate(apiKey, query, variables, path, opts = {}) {
+  const maxItems = opts.maxItems || DEFAULT_MAX_ITEMS;
+  const nodes = [];
+  let after = null;
+  let truncated = false;
+
+  while (true) {
+    const first = Math.min(PAGE_SIZE, maxItems - nodes.length);
+    const data = await gql(apiKey, query, { ...variables, first, after });
+    const connection = path.split(".").reduce((obj, key) => obj?.[key], data);
+    if (!connection) break;
 
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error(`Linear: ${json.errors.map((e) => e.message).join(", ")}`);
+    nodes.push(...connection.nodes);
+    if (!connection.pageInfo.hasNextPage) break;
+    if (nodes.length >= maxItems) {
+      truncated = true;
+      console.warn(`[Linear] ${path} hit the ${maxItems}-item ceiling — results truncated.`);
+      break;
+    }
+    after = connection.pageInfo.endCursor;
   }
-  return json.data;
+
+  nodes.truncated = truncated;
+  return nodes;
 }
 
 // ─── Queries ──────────────────────────────────────────────────────
+//
+// Team-scoped queries take one team key or an array of them.
 
-export async function fetchActiveIssues(apiKey, teamKey) {
-  const data = await gql(
+function keyList(teamKeys) {
+  return Array.isArray(teamKeys) ? teamKeys : [teamKeys];
+}
+
+export async function fetchActiveIssues(apiKey, teamKeys, opts) {
+  return paginate(
     apiKey,
-    `query($teamKey: String!) {
+    `query($teamKeys: [String!]!, $first: Int!, $after: String) {
       issues(
         filter: {
-          team: { key: { eq: $teamKey } }
+          team: { key: { in: $teamKeys } }
           state: { type: { in: ["backlog", "unstarted", "started"] } }
         }
-        first: 100
+        first: $first
+        after: $after
       ) {
-        nodes {
-          id identifier title description
-          priority priorityLabel dueDate
-          state { id name type }
-          project { id name }
-          assignee { id name }
-          labels { nodes { id name } }
-          url createdAt updatedAt
-        }
+        nodes { ${ISSUE_FIELDS} }
+        pageInfo { hasNextPage endCursor }
       }
     }`,
-    { teamKey }
+    { teamKeys: keyList(teamKeys) },
+    "issues",
+    opts
   );
-  return data.issues.nodes;
 }
 
-export async function fetchWorkflowStates(apiKey, teamKey) {
-  const data = await gql(
+/**
+ * List issues matching an arbitrary Linear IssueFilter, in any state.
+ */
+export async function fetchIssues(apiKey, filter, opts) {
+  return paginate(
     apiKey,
-    `query($teamKey: String!) {
-      workflowStates(filter: { team: { key: { eq: $teamKey } } }) {
-        nodes { id name type }
+    `query($filter: IssueFilter, $first: Int!, $after: String) {
+      issues(filter: $filter, first: $first, after: $after) {
+        nodes { ${ISSUE_FIELDS} completedAt canceledAt }
+        pageInfo { hasNextPage endCursor }
       }
     }`,
-    { teamKey }
+    { filter },
+    "issues",
+    opts
   );
-  return data.workflowStates.nodes;
 }
 
-export async function fetchTeamId(apiKey, teamKey) {
+/**
+ * Full-text search across every issue, including completed and canceled ones.
+ */
+export async function searchIssues(apiKey, term, first = 20) {
   const data = await gql(
     apiKey,
-    `query($teamKey: String!) {
-      teams(filter: { key: { eq: $teamKey } }) {
-        nodes { id name }
+    `query($term: String!, $first: Int!) {
+      searchIssues(term: $term, first: $first, includeArchived: true) {
+        nodes { ${ISSUE_FIELDS} completedAt canceledAt }
       }
     }`,
-    { teamKey }
+    { term, first }
   );
-  return data.teams.nodes[0]?.id;
+  return data.searchIssues.nodes;
 }
 
-export async function fetchLabels(apiKey) {
-  const data = await gql(
+/**
+ * Look up one issue by identifier ("YAK-42") or id. Returns null if Linear
+ * doesn't know it. With `details`, also pulls comments, sub-issues and history.
+ */
+export async function fetchIssue(apiKey, identifier, { details = false } = {}) {
+  const extra = details
+    ? `
+      completedAt canceledAt
+      parent { identifier title }
+      children { nodes { identifier title state { name } } }
+      comments(first: 50) { nodes { body createdAt user { name } } }
+      history(first: 50) {
+        nodes {
+          createdAt
+          actor { name }
+          fromState { name } toState { name }
+          fromAssignee { name } toAssignee { name }
+          fromPriority toPriority
+          fromDueDate toDueDate
+        }
+      }`
+    : "";
+  try {
+    const data = await gql(
+      apiKey,
+      `query($id: String!) {
+        issue(id: $id) { ${ISSUE_FIELDS} ${extra} }
+      }`,
+      { id: identifier }
+    );
+    return data.issue;
+  } catch (err) {
+    if (/not found/i.test(err.message)) return null;
+    throw err;
+  }
+}
+
+/**
+ * Workflow states of one or more teams. Each carries `team { key }`, since
+ * every team has its own set.
+ */
+export async function fetchWorkflowStates(apiKey, teamKeys, opts) {
+  return paginate(
     apiKey,
-    `query {
-      issueLabels(first: 250) {
-        nodes { id name }
+    `query($teamKeys: [String!]!, $first: Int!, $after: String) {
+      workflowStates(
+        filter: { team: { key: { in: $teamKeys } } }
+        first: $first
+        after: $after
+      ) {
+        nodes { id name type team { key } }
+        pageInfo { hasNextPage endCursor }
       }
-    }`
+    }`,
+    { teamKeys: keyList(teamKeys) },
+    "workflowStates",
+    opts
   );
-  return data.issueLabels.nodes;
 }
 
-export async function fetchProjects(apiKey) {
+/**
+ * { id, key, name } for each of `teamKeys` that exists, in the order given.
+ */
+export async function fetchTeams(apiKey, teamKeys) {
+  const keys = keyList(teamKeys);
   const data = await gql(
     apiKey,
-    `query {
-      projects(first: 100) {
-        nodes { id name state }
+    `query($teamKeys: [String!]!) {
+      teams(filter: { key: { in: $teamKeys } }) {
+        nodes { id key name }
       }
-    }`
+    }`,
+    { teamKeys: keys }
   );
-  return data.projects.nodes;
+  return keys.map((key) => data.teams.nodes.find((t) => t.key === key)).filter(Boolean);
 }
 
-export async function fetchMembers(apiKey, teamKey) {
-  const data = await gql(
+export async function fetchTeamId(apiKey, teamKey) {
+  const [team] = await fetchTeams(apiKey, teamKey);
+  return team?.id;
+}
+
+export async function fetchLabels(apiKey, opts) {
+  return paginate(
+    apiKey,
+    `query($first: Int!, $after: String) {
+      issueLabels(first: $first, after: $after) {
+        nodes { id name team { key } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }`,
+    {},
+    "issueLabels",
+    opts
+  );
+}
+
+export async function fetchProjects(apiKey, opts) {
+  return paginate(
     apiKey,
-    `query($teamKey: String!) {
-      teams(filter: { key: { eq: $teamKey } }) {
-        nodes { members { nodes { id name displayName } } }
+    `query($first: Int!, $after: String) {
+      projects(first: $first, after: $after) {
+        nodes { id name state }
+        pageInfo { hasNextPage endCursor }
       }
     }`,
-    { teamKey }
+    {},
+    "projects",
+    opts
+  );
+}
+
+/**
+ * Members of one or more teams, each person once.
+ */
+export async function fetchMembers(apiKey, teamKeys, opts) {
+  const perTeam = await Promise.all(
+    keyList(teamKeys).map((teamKey) =>
+      paginate(
+        apiKey,
+        `query($teamKey: String!, $first: Int!, $after: String) {
+          teams(filter: { key: { eq: $teamKey } }) {
+            nodes {
+              members(first: $first, after: $after) {
+                nodes { id name displayName }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        }`,
+        { teamKey },
+        "teams.nodes.0.members",
+        opts
+      )
+    )
+  );
+  const members = [...new Map(perTeam.flat().map((m) => [m.id, m])).values()];
+  members.truncated = perTeam.some((list) => list.truncated);
+  return members;
+}
+
+export async function fetchViewer(apiKey) {
+  const data = await gql(
+    apiKey,
+    `query {
+      viewer { id name displayName }
+    }`
   );
-  return data.teams.nodes[0]?.members?.nodes || [];
+  return data.viewer;
 }
 
 // ─── Mutations ────────────────────────────────────────────────────
@@ -137,6 +333,30 @@ export async function updateIssue(apiKey, issueId, input) {
   return data.issueUpdate.issue;
 }
 
+/**
+ * Apply the same update to many issues in one request.
+ * Linear caps a batch at 50 ids; callers are expected to chunk.
+ */
+export async function batchUpdateIssues(apiKey, issueIds, input) {
+  const data = await gql(
+    apiKey,
+    `mutation($issueIds: [UUID!]!, $input: IssueUpdateInput!) {
+      issueBatchUpdate(ids: $issueIds, input: $input) {
+        success
+        issues {
+          id identifier title dueDate
+          state { name }
+          priority priorityLabel
+          assignee { name }
+          labels { nodes { name } }
+        }
+      }
+    }`,
+    { issueIds, input }
+  );
+  return data.issueBatchUpdate.issues;
+}
+
 export async function createIssue(apiKey, input) {
   const data = await gql(
     apiKey,
@@ -190,3 +410,36 @@ export async function createLabel(apiKey, teamId, name) {
   );
   return data.issueLabelCreate.issueLabel;
 }
+
+export async function archiveIssue(apiKey, issueId) {
+  const data = await gql(
+    apiKey,
+    `mutation($issueId: String!) {
+      issueArchive(id: $issueId) { success }
+    }`,
+    { issueId }
+  );
+  return data.issueArchive.success;
+}
+
+export async function deleteComment(apiKey, commentId) {
+  const data = await gql(
+    apiKey,
+    `mutation($commentId: String!) {
+      commentDelete(id: $commentId) { success }
+    }`,
+    { commentId }
+  );
+  return data.commentDelete.success;
+}
+
+export async function deleteProject(apiKey, projectId) {
+  const data = await gql(
+    apiKey,
+    `mutation($projectId: String!) {
+      projectDelete(id: $projectId) { success }
+    }`,
+    { projectId }
+  );
+  return data.projectDelete.success;
+}
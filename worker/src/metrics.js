@@ -0,0 +1,155 @@
+// ─── Daily Metrics ────────────────────────────────────────────────
+//
+// Shared by the Worker and the standalone script. Every briefing run
+// records a snapshot of the active issues' numbers for the day:
+//
+//   { date, total, overdue, unassigned,
+//     byStateType: { backlog, unstarted, started },
+//     byPriority: { urgent, high, medium, low, none },
+//     byProject: { [name]: n }, byAssignee: { [name]: n } }
+//
+// The Worker keeps them in KV under `metrics:<date>` (one per day, the
+// latest run wins); the script writes briefing/metrics/<date>.json so the
+// history accrues in git. /stats renders the trend as text sparklines.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { addDays } from "./time.js";
+
+const KEY_PREFIX = "metrics:";
+const TTL_SECONDS = 400 * 24 * 60 * 60; // a little over a year in KV; git keeps the script's forever
+export const DEFAULT_STATS_DAYS = 14;
+export const MAX_STATS_DAYS = 90; // one KV read per day
+const TOP_GROUPS = 5; // projects / assignees shown by /stats
+
+const PRIORITY_NAMES = { 0: "none", 1: "urgent", 2: "high", 3: "medium", 4: "low" };
+const SPARKS = "▁▂▃▄▅▆▇█";
+const MAX_SPARK_WIDTH = 30; // longer series are averaged down to fit a phone screen
+
+/**
+ * The day's numbers from the active issues. `today` is a local "YYYY-MM-DD".
+ */
+export function buildMetrics(issues, today) {
+  const metrics = {
+    date: today,
+    total: issues.length,
+    overdue: 0,
+    unassigned: 0,
+    byStateType: { backlog: 0, unstarted: 0, started: 0 },
+    byPriority: { urgent: 0, high: 0, medium: 0, low: 0, none: 0 },
+    byProject: {},
+    byAssignee: {},
+  };
+  for (const issue of issues) {
+    const type = issue.state?.type;
+    if (type in metrics.byStateType) metrics.byStateType[type]++;
+    metrics.byPriority[PRIORITY_NAMES[issue.priority] || "none"]++;
+    count(metrics.byProject, issue.project?.name || "No Project");
+    count(metrics.byAssignee, issue.assignee?.name || "Unassigned");
+    if (issue.dueDate && issue.dueDate < today) metrics.overdue++;
+    if (!issue.assignee) metrics.unassigned++;
+  }
+  return metrics;
+}
+
+// ─── KV (Worker) ──────────────────────────────────────────────────
+
+export async function recordMetrics(kv, metrics) {
+  await kv.put(KEY_PREFIX + metrics.date, JSON.stringify(metrics), { expirationTtl: TTL_SECONDS });
+}
+
+/**
+ * Snapshots for the `days` days ending `today`, oldest first. Days without
+ * one (no briefing ran) are left out.
+ */
+export async function readMetrics(kv, today, days) {
+  const dates = Array.from({ length: days }, (_, idx) => addDays(today, idx - days + 1));
+  const snapshots = await Promise.all(
+    dates.map((date) => kv.get(KEY_PREFIX + date, "json").catch(() => null))
+  );
+  return snapshots.filter(Boolean);
+}
+
+// ─── Rendering ────────────────────────────────────────────────────
+
+/**
+ * Trends over `snapshots` (oldest first) as plain text: a sparkline, the
+ * latest value and the change over the period for each number.
+ */
+export function renderStats(snapshots, days) {
+  if (snapshots.length === 0) {
+    return `No metrics for the last ${days} days yet — they're recorded with each briefing.`;
+  }
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const series = (pick) => snapshots.map((s) => pick(s) || 0);
+
+  const lines = [
+    `STATS — ${days} days, ${snapshots.length} snapshot${snapshots.length === 1 ? "" : "s"} (${first.date} to ${last.date})`,
+    "",
+    trendLine("Open", series((s) => s.total)),
+    trendLine("Backlog", series((s) => s.byStateType.backlog)),
+    trendLine("Todo", series((s) => s.byStateType.unstarted)),
+    trendLine("In progress", series((s) => s.byStateType.started)),
+    trendLine("Urgent + high", series((s) => s.byPriority.urgent + s.byPriority.high)),
+    trendLine("Overdue", series((s) => s.overdue)),
+    trendLine("Unassigned", series((s) => s.unassigned)),
+  ];
+
+  for (const [heading, field] of [["BY PROJECT", "byProject"], ["BY ASSIGNEE", "byAssignee"]]) {
+    const names = topNames(snapshots, field);
+    if (names.length === 0) continue;
+    lines.push("", heading, ...names.map((name) => trendLine(name, series((s) => s[field][name]))));
+  }
+
+  if (snapshots.length === 1) lines.push("", "Only one day so far — trends show up as days accrue.");
+  return lines.join("\n");
+}
+
+/**
+ * Values as a row of ▁▂▃▄▅▆▇█, scaled between their min and max. At most
+ * MAX_SPARK_WIDTH wide.
+ */
+export function sparkline(values) {
+  const points = downsample(values, MAX_SPARK_WIDTH);
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min;
+  return points
+    .map((v) => (range === 0 ? SPARKS[3] : SPARKS[Math.round(((v - min) / range) * (SPARKS.length - 1))]))
+    .join("");
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+function trendLine(label, values) {
+  const latest = values[values.length - 1];
+  const change = latest - values[0];
+  const delta = change === 0 ? "±0" : change > 0 ? `+${change}` : String(change);
+  return `${label}: ${sparkline(values)} ${latest} (${delta})`;
+}
+
+// The TOP_GROUPS biggest groups in the latest snapshot (ones that emptied
+// out during the period only fill in when there are fewer)
+function topNames(snapshots, field) {
+  const latest = snapshots[snapshots.length - 1][field];
+  const seen = new Set(snapshots.flatMap((s) => Object.keys(s[field])));
+  return [...seen]
+    .sort((a, b) => (latest[b] || 0) - (latest[a] || 0) || a.localeCompare(b))
+    .slice(0, TOP_GROUPS);
+}
+
+// Average consecutive runs of values down to `width` points
+function downsample(values, width) {
+  if (values.length <= width) return values;
+  return Array.from({ length: width }, (_, idx) => {
+    const bucket = values.slice(
+      Math.floor((idx * values.length) / width),
+      Math.floor(((idx + 1) * values.length) / width)
+    );
+    return bucket.reduce((sum, v) => sum + v, 0) / bucket.length;
+  });
+}
+
+function count(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
@@ -0,0 +1,202 @@
+// ─── Linear Webhook → Telegram Notifications ──────────────────────
+
+import { fetchViewer } from "./linear.js";
+import { sendMessage } from "./telegram.js";
+
+const VIEWER_KEY = "linear_viewer";
+const VIEWER_TTL = 24 * 60 * 60; // re-resolve "me" once a day
+const MAX_CLOCK_SKEW_MS = 60 * 1000; // Linear recommends rejecting deliveries older than a minute
+const DEFAULT_RULES = ["assigned", "urgent", "blocked", "mention"];
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Handle a POST from Linear's webhook delivery.
+ * Verifies the HMAC signature, then filters + forwards in the background
+ * so Linear gets its 200 right away. Without LINEAR_WEBHOOK_SECRET nothing
+ * can be verified, so the route acts as if it didn't exist.
+ */
+export async function handleLinearWebhook(request, env, execCtx) {
+  if (!env.LINEAR_WEBHOOK_SECRET) return new Response("Not found", { status: 404 });
+
+  const rawBody = await request.text();
+  const signature = request.headers.get("Linear-Signature") || "";
+  const valid = await verifySignature(env.LINEAR_WEBHOOK_SECRET, rawBody, signature);
+  if (!valid) return new Response("Unauthorized", { status: 401 });
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return new Response("Bad request", { status: 400 });
+  }
+
+  // Replay protection — signed payloads carry their own send time
+  if (
+    payload.webhookTimestamp &&
+    Math.abs(Date.now() - payload.webhookTimestamp) > MAX_CLOCK_SKEW_MS
+  ) {
+    return new Response("Stale delivery", { status: 400 });
+  }
+
+  execCtx.waitUntil(
+    processEvent(payload, env).catch((err) =>
+      console.error("[Linear webhook] Failed to process event:", err)
+    )
+  );
+  return new Response("OK");
+}
+
+// ─── Event Processing ─────────────────────────────────────────────
+
+async function processEvent(payload, env) {
+  if (payload.type !== "Issue" && payload.type !== "Comment") return;
+
+  const viewer = await getViewer(env);
+
+  // Don't echo back our own changes (including the ones the agent makes)
+  if (payload.actor?.id && payload.actor.id === viewer.id) return;
+
+  const rules = (env.LINEAR_NOTIFY_RULES || DEFAULT_RULES.join(","))
+    .split(",")
+    .map((r) => r.trim().toLowerCase())
+    .filter(Boolean);
+
+  const reasons = matchRules(payload, viewer, rules);
+  if (reasons.length === 0) return;
+
+  console.log(`[Linear webhook] ${payload.type} ${payload.action} matched: ${reasons.join(", ")}`);
+  await sendMessage(
+    env.TELEGRAM_BOT_TOKEN,
+    env.TELEGRAM_CHAT_ID,
+    formatNotification(payload, reasons)
+  );
+}
+
+/**
+ * Return the names of every enabled rule this event satisfies.
+ * Issue updates carry the previous values of changed fields in `updatedFrom`,
+ * so "changed to X" means the field is present there and now equals X.
+ */
+function matchRules(payload, viewer, rules) {
+  const { type, action, data = {}, updatedFrom = {} } = payload;
+  const created = action === "create";
+  const reasons = [];
+
+  if (type === "Issue" && action !== "remove") {
+    if (
+      rules.includes("assigned") &&
+      data.assigneeId === viewer.id &&
+      (created || "assigneeId" in updatedFrom)
+    ) {
+      reasons.push("assigned");
+    }
+    if (
+      rules.includes("urgent") &&
+      data.priority === 1 &&
+      (created || "priority" in updatedFrom)
+    ) {
+      reasons.push("urgent");
+    }
+    if (
+      rules.includes("blocked") &&
+      "stateId" in updatedFrom &&
+      /block/i.test(data.state?.name || "")
+    ) {
+      reasons.push("blocked");
+    }
+  }
+
+  if (type === "Comment" && created && rules.includes("mention")) {
+    if (mentionsViewer(data.body || "", viewer)) reasons.push("mention");
+  }
+
+  return reasons;
+}
+
+function mentionsViewer(body, viewer) {
+  const text = body.toLowerCase();
+  const handles = [viewer.displayName, viewer.name]
+    .filter(Boolean)
+    .map((h) => h.toLowerCase());
+  // Linear stores mentions as "@handle" or as a link to the profile page
+  return handles.some(
+    (h) => text.includes(`@${h}`) || text.includes(`/profiles/${h}`)
+  );
+}
+
+function formatNotification(payload, reasons) {
+  const { type, data = {}, actor, url } = payload;
+  const who = actor?.name || "Someone";
+
+  if (type === "Comment") {
+    const issue = data.issue || {};
+    const preview = (data.body || "").replace(/\s+/g, " ").substring(0, 200);
+    return [
+      `${who} mentioned you on ${issue.identifier || "an issue"}${issue.title ? ` "${issue.title}"` : ""}:`,
+      preview,
+      url || "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  const headline = {
+    assigned: `${data.identifier} assigned to you by ${who}`,
+    urgent: `${data.identifier} is now Urgent (${who})`,
+    blocked: `${data.identifier} moved to ${data.state?.name} by ${who}`,
+  }[reasons[0]];
+
+  const details = [
+    data.state?.name,
+    data.priorityLabel,
+    data.assignee?.name ? `@${data.assignee.name}` : "Unassigned",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return [headline, `"${data.title}"`, details, url || data.url || ""]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────
+
+async function getViewer(env) {
+  try {
+    const cached = await env.KV.get(VIEWER_KEY, "json");
+    if (cached) return cached;
+  } catch {
+    // fall through and refetch
+  }
+  const viewer = await fetchViewer(env.LINEAR_API_KEY);
+  await env.KV.put(VIEWER_KEY, JSON.stringify(viewer), { expirationTtl: VIEWER_TTL });
+  return viewer;
+}
+
+/**
+ * Linear signs the raw body with HMAC-SHA256 and sends the hex digest in
+ * the `Linear-Signature` header.
+ */
+async function verifySignature(secret, rawBody, signature) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, encoder.encode(rawBody));
+  const expected = Array.from(new Uint8Array(mac))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+
+  // Constant-time compare so the check doesn't leak how many chars matched
+  if (expected.length !== signature.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,444 @@
+// ─── Recurring Issues ─────────────────────────────────────────────
+//
+// Chores that come round on a cadence ("Send invoices", every other
+// Friday) are rules in KV under `recurring_rules`, managed through the
+// agent's *_recurring_issue tools and /recurring. On every cron tick, each
+// rule whose next date has arrived (in its own timezone) creates that
+// instance in Linear. If the previous instance is still open it can be
+// closed as superseded or flagged, per the rule's `previousOpen`. What a
+// run changes is journaled as the rule's creator in its chat, so /undo
+// there reverts it like any other change.
+//
+//   { id, title, description, team, project, labels, priority,
+//     dueOffsetDays, rrule, startDate, timezone, previousOpen, paused,
+//     chatId, userId, nextDate, lastIssueId, lastIdentifier, lastDate }
+//
+// Cadences are a subset of RFC 5545 RRULE: FREQ=DAILY|WEEKLY|MONTHLY,
+// INTERVAL, BYDAY (weekly) and BYMONTHDAY (monthly; -1 is the last day,
+// and days past a short month's end land on its last day). Intervals
+// count from startDate. Titles and descriptions may use {date}, {day},
+// {weekday}, {week}, {month} and {year}.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import {
+  createIssue,
+  createComment,
+  updateIssue,
+  fetchIssue,
+  fetchLabels,
+  fetchProjects,
+  fetchTeams,
+  fetchWorkflowStates,
+} from "./linear.js";
+import { sendMessage } from "./telegram.js";
+import { recordEntry } from "./journal.js";
+import { addDays, daysBetween, formatDate, localDate } from "./time.js";
+import { findLabel, stateOfType, teamKeyOfIssue } from "./teams.js";
+
+const RULES_KEY = "recurring_rules";
+const PREVIOUS_OPEN = ["none", "close", "flag"];
+const CLOSED_STATE_TYPES = ["completed", "canceled"];
+const DAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MAX_INTERVAL = { DAILY: 365, WEEKLY: 52, MONTHLY: 12 };
+const SEARCH_DAYS = 800; // longer than the sparsest cadence MAX_INTERVAL allows
+const MAX_DUE_OFFSET = 365;
+
+// ─── Rule Storage ─────────────────────────────────────────────────
+
+export async function listRules(kv) {
+  try {
+    return (await kv.get(RULES_KEY, "json")) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * A rule by id (case-insensitive), or null.
+ */
+export function findRule(rules, id) {
+  const wanted = String(id || "").trim().toLowerCase();
+  return rules.find((r) => r.id === wanted) || null;
+}
+
+/**
+ * The rules `user` may see and change from `chatId`: the ones made there,
+ * or every chat's for an admin.
+ */
+export function rulesFor(rules, chatId, user) {
+  if (user?.admin) return rules;
+  return rules.filter((r) => String(r.chatId) === String(chatId));
+}
+
+export async function addRule(kv, rule) {
+  const rules = await listRules(kv);
+  const stored = { id: crypto.randomUUID().slice(0, 8), ...rule, createdAt: new Date().toISOString() };
+  rules.push(stored);
+  await kv.put(RULES_KEY, JSON.stringify(rules));
+  return stored;
+}
+
+/**
+ * Merge `fields` into a stored rule. Returns the updated rule, or null if
+ * it no longer exists.
+ */
+export async function updateRule(kv, id, fields) {
+  const rules = await listRules(kv);
+  const idx = rules.findIndex((r) => r.id === id);
+  if (idx === -1) return null;
+  rules[idx] = { ...rules[idx], ...fields };
+  await kv.put(RULES_KEY, JSON.stringify(rules));
+  return rules[idx];
+}
+
+/**
+ * Remove a rule. Returns the removed rule, or null if there was none.
+ */
+export async function deleteRule(kv, id) {
+  const rules = await listRules(kv);
+  const rule = findRule(rules, id);
+  if (!rule) return null;
+  await kv.put(RULES_KEY, JSON.stringify(rules.filter((r) => r !== rule)));
+  return rule;
+}
+
+/**
+ * Validate a rule's fields and work out its next date (`today` or later,
+ * never the date it last ran). Returns { rule } or { error }.
+ * Team, project and labels must already be resolved to their Linear names.
+ */
+export function prepareRule(fields, today) {
+  const title = String(fields.title || "").trim();
+  if (!title) return { error: "A recurring issue needs a title." };
+
+  const rrule = String(fields.rrule || "").trim().toUpperCase().replace(/^RRULE:/, "");
+  const { cadence, error } = parseRRule(rrule);
+  if (error) return { error };
+
+  const startDate = fields.startDate || today;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) return { error: `Start date must be YYYY-MM-DD (got "${startDate}").` };
+
+  const priority = fields.priority ?? 0;
+  if (!Number.isInteger(priority) || priority < 0 || priority > 4) {
+    return { error: "Priority must be 0 (none) to 4 (low)." };
+  }
+
+  const dueOffsetDays = fields.dueOffsetDays ?? null;
+  if (dueOffsetDays !== null && !(Number.isInteger(dueOffsetDays) && dueOffsetDays >= 0 && dueOffsetDays <= MAX_DUE_OFFSET)) {
+    return { error: `Due-date offset must be a whole number of days, 0 to ${MAX_DUE_OFFSET}.` };
+  }
+
+  const previousOpen = fields.previousOpen || "none";
+  if (!PREVIOUS_OPEN.includes(previousOpen)) {
+    return { error: `If the previous one is still open: ${PREVIOUS_OPEN.join(", ")} (got "${previousOpen}").` };
+  }
+
+  const from = fields.lastDate && fields.lastDate >= today ? addDays(fields.lastDate, 1) : today;
+  const nextDate = nextOccurrence(cadence, startDate, from);
+  if (!nextDate) return { error: `"${rrule}" never comes round from ${startDate}.` };
+
+  return {
+    rule: {
+      ...fields,
+      title,
+      rrule,
+      startDate,
+      priority,
+      dueOffsetDays,
+      previousOpen,
+      labels: fields.labels || [],
+      nextDate,
+    },
+  };
+}
+
+// ─── Cadence ──────────────────────────────────────────────────────
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;INTERVAL=2;BYDAY=FR") into
+ * { freq, interval, byDay?, byMonthDay? }. Returns { cadence } or { error }.
+ */
+export function parseRRule(text) {
+  const parts = {};
+  for (const part of String(text).split(";").filter(Boolean)) {
+    const [key, value = ""] = part.split("=");
+    parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  }
+
+  const { FREQ: freq, INTERVAL, BYDAY, BYMONTHDAY, ...rest } = parts;
+  const unsupported = Object.keys(rest);
+  if (unsupported.length > 0) return { error: `Unsupported RRULE part(s): ${unsupported.join(", ")}.` };
+  if (!MAX_INTERVAL[freq]) return { error: `FREQ must be DAILY, WEEKLY or MONTHLY (got "${freq || ""}").` };
+
+  const interval = INTERVAL ? Number(INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL[freq]) {
+    return { error: `INTERVAL for ${freq} must be 1 to ${MAX_INTERVAL[freq]}.` };
+  }
+  const cadence = { freq, interval };
+
+  if (BYDAY) {
+    if (freq !== "WEEKLY") return { error: "BYDAY only works with FREQ=WEEKLY." };
+    const days = BYDAY.split(",").map((code) => DAY_CODES.indexOf(code.trim()));
+    if (days.includes(-1)) return { error: `BYDAY takes ${DAY_CODES.join(",")} (got "${BYDAY}").` };
+    cadence.byDay = [...new Set(days)].sort();
+  }
+
+  if (BYMONTHDAY) {
+    if (freq !== "MONTHLY") return { error: "BYMONTHDAY only works with FREQ=MONTHLY." };
+    const day = Number(BYMONTHDAY);
+    if (!Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+      return { error: "BYMONTHDAY must be 1 to 31, or -1 for the last day." };
+    }
+    cadence.byMonthDay = day;
+  }
+
+  return { cadence };
+}
+
+/**
+ * The first date on or after both `from` and `startDate` that `cadence`
+ * falls on, or null if there isn't one within SEARCH_DAYS.
+ */
+export function nextOccurrence(cadence, startDate, from) {
+  let date = from > startDate ? from : startDate;
+  for (let i = 0; i < SEARCH_DAYS; i++, date = addDays(date, 1)) {
+    if (occursOn(cadence, startDate, date)) return date;
+  }
+  return null;
+}
+
+/**
+ * "every 2 weeks on Fri", "every month on the last day", ...
+ */
+export function describeCadence(rrule, startDate) {
+  const { cadence, error } = parseRRule(rrule);
+  if (error) return rrule;
+  const { freq, interval } = cadence;
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[freq];
+  const every = interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`;
+
+  if (freq === "WEEKLY") {
+    const days = cadence.byDay || [weekdayOf(startDate)];
+    return `${every} on ${days.map((d) => DAY_NAMES[d]).join(", ")}`;
+  }
+  if (freq === "MONTHLY") {
+    const day = cadence.byMonthDay ?? Number(startDate.slice(8));
+    return `${every} on ${day === -1 ? "the last day" : `day ${day}`}`;
+  }
+  return every;
+}
+
+function occursOn(cadence, startDate, date) {
+  switch (cadence.freq) {
+    case "DAILY":
+      return daysBetween(startDate, date) % cadence.interval === 0;
+    case "WEEKLY": {
+      const days = cadence.byDay || [weekdayOf(startDate)];
+      const weeks = daysBetween(mondayOf(startDate), mondayOf(date)) / 7;
+      return days.includes(weekdayOf(date)) && weeks % cadence.interval === 0;
+    }
+    case "MONTHLY": {
+      const [startYear, startMonth] = startDate.split("-").map(Number);
+      const [year, month, day] = date.split("-").map(Number);
+      const months = (year - startYear) * 12 + (month - startMonth);
+      // Day 0 of the next month is the last day of this one
+      const length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const wanted = cadence.byMonthDay ?? Number(startDate.slice(8));
+      const target = wanted === -1 ? length : Math.min(wanted, length);
+      return months % cadence.interval === 0 && day === target;
+    }
+    default:
+      return false;
+  }
+}
+
+// 0 = Sunday; dates are UTC midnights, so no timezone is involved
+function weekdayOf(date) {
+  return new Date(Date.parse(date)).getUTCDay();
+}
+
+function mondayOf(date) {
+  return addDays(date, -((weekdayOf(date) + 6) % 7));
+}
+
+// ─── Templates ────────────────────────────────────────────────────
+
+/**
+ * Fill {date}, {day}, {weekday}, {week}, {month} and {year} for `date`.
+ * Unknown placeholders are left as they are.
+ */
+export function renderTemplate(template, date) {
+  const at = new Date(Date.parse(date));
+  const values = {
+    date,
+    day: formatDate(at, "UTC", { month: "short", day: "numeric" }),
+    weekday: formatDate(at, "UTC", { weekday: "long" }),
+    week: String(isoWeek(date)),
+    month: formatDate(at, "UTC", { month: "long" }),
+    year: date.slice(0, 4),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+// ISO 8601 week number: the week belongs to the year its Thursday is in
+function isoWeek(date) {
+  const thursday = addDays(date, 3 - ((weekdayOf(date) + 6) % 7));
+  return Math.floor(daysBetween(`${thursday.slice(0, 4)}-01-01`, thursday) / 7) + 1;
+}
+
+export function describeRule(rule) {
+  const details = [
+    describeCadence(rule.rrule, rule.startDate),
+    rule.team,
+    rule.project && `project ${rule.project}`,
+    rule.labels.length > 0 && `labels ${rule.labels.join(", ")}`,
+    rule.dueOffsetDays !== null && `due +${rule.dueOffsetDays}d`,
+    rule.previousOpen !== "none" && `${rule.previousOpen} previous if open`,
+  ].filter(Boolean);
+  const status = rule.paused ? "paused" : `next ${rule.nextDate}`;
+  const last = rule.lastIdentifier ? `, last ${rule.lastIdentifier}` : "";
+  return `${rule.id} — "${rule.title}" (${details.join("; ")}) — ${status}${last}`;
+}
+
+// ─── Cron Run ─────────────────────────────────────────────────────
+
+/**
+ * Create every due instance. Runs on each cron tick; a rule whose date has
+ * passed (the Worker missed a day) creates one instance for its latest
+ * date, not a backlog.
+ */
+export async function runRecurringRules(env, now = new Date()) {
+  const rules = await listRules(env.KV);
+  const due = rules.filter((r) => !r.paused && r.nextDate && r.nextDate <= localDate(now, r.timezone));
+  // One at a time — there are only ever a handful, and each touches Linear several times
+  for (const rule of due) {
+    await runRule(env, rule, now);
+  }
+}
+
+async function runRule(env, rule, now) {
+  const { cadence } = parseRRule(rule.rrule);
+  const today = localDate(now, rule.timezone);
+  const tomorrow = addDays(today, 1);
+  // After missed days, the latest date that has come round stands for them all
+  let date = rule.nextDate;
+  for (let later; (later = nextOccurrence(cadence, rule.startDate, addDays(date, 1))) && later <= today; ) {
+    date = later;
+  }
+
+  // Advance first so an overlapping tick can't create it twice
+  const advanced = await updateRule(env.KV, rule.id, {
+    nextDate: nextOccurrence(cadence, rule.startDate, tomorrow),
+  });
+  if (!advanced) return; // deleted since we listed it
+
+  let lines;
+  const ops = []; // journal ops, as with the agent's tools
+  try {
+    const { issue, notes } = await createInstance(env, rule, date);
+    ops.push({
+      kind: "create_issue",
+      issueId: issue.id,
+      identifier: issue.identifier,
+      summary: `created ${issue.identifier} "${issue.title}"`,
+    });
+    const previous = await handlePreviousOpen(env, rule, issue, ops);
+    await updateRule(env.KV, rule.id, {
+      lastIssueId: issue.id,
+      lastIdentifier: issue.identifier,
+      lastDate: date,
+    });
+    const due = issue.dueDate ? `, due ${issue.dueDate}` : "";
+    lines = [
+      `Recurring: created ${issue.identifier} "${issue.title}"${due}.`,
+      ...notes.map((note) => `Note: ${note}.`),
+      previous,
+    ];
+  } catch (err) {
+    console.error(`[Recurring] Rule ${rule.id} failed:`, err);
+    lines = [`Recurring "${rule.title}" (${rule.id}) failed for ${date}: ${err.message}`];
+  }
+  // Whatever landed, even if a later step failed
+  await recordEntry(env.KV, "recurring", ops, { chatId: rule.chatId, userId: rule.userId }).catch((err) =>
+    console.error(`[Recurring] Couldn't journal rule ${rule.id}:`, err.message)
+  );
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, rule.chatId, lines.filter(Boolean).join("\n"));
+}
+
+/**
+ * Create one instance in Linear. Returns { issue, notes } — notes say what
+ * of the rule no longer resolves (a renamed project, a deleted label).
+ */
+async function createInstance(env, rule, date) {
+  const apiKey = env.LINEAR_API_KEY;
+  const [[team], labels, projects] = await Promise.all([
+    fetchTeams(apiKey, rule.team),
+    rule.labels.length > 0 ? fetchLabels(apiKey) : [],
+    rule.project ? fetchProjects(apiKey) : [],
+  ]);
+  if (!team) throw new Error(`team ${rule.team} not found`);
+
+  const notes = [];
+  const input = { teamId: team.id, title: renderTemplate(rule.title, date) };
+  if (rule.description) input.description = renderTemplate(rule.description, date);
+  if (rule.priority) input.priority = rule.priority;
+  if (rule.dueOffsetDays !== null) input.dueDate = addDays(date, rule.dueOffsetDays);
+
+  if (rule.project) {
+    const project = projects.find((p) => p.name.toLowerCase() === rule.project.toLowerCase());
+    if (project) input.projectId = project.id;
+    else notes.push(`project "${rule.project}" not found`);
+  }
+
+  const labelIds = [];
+  for (const name of rule.labels) {
+    const label = findLabel(name, labels, team.key);
+    if (label) labelIds.push(label.id);
+    else notes.push(`label "${name}" not found`);
+  }
+  if (labelIds.length > 0) input.labelIds = labelIds;
+
+  return { issue: await createIssue(apiKey, input), notes };
+}
+
+/**
+ * Close or flag the last instance if it's still open, pushing journal ops
+ * onto `ops`. Returns a line for the chat, or null if there was nothing to do.
+ */
+async function handlePreviousOpen(env, rule, issue, ops) {
+  if (rule.previousOpen === "none" || !rule.lastIdentifier) return null;
+  const apiKey = env.LINEAR_API_KEY;
+  const previous = await fetchIssue(apiKey, rule.lastIdentifier);
+  if (!previous || CLOSED_STATE_TYPES.includes(previous.state?.type)) return null;
+
+  if (rule.previousOpen === "close") {
+    const states = await fetchWorkflowStates(apiKey, teamKeyOfIssue(previous));
+    const done = stateOfType(states, "completed");
+    if (!done) return `${previous.identifier} is still open — no completed state to close it with.`;
+    await updateIssue(apiKey, previous.id, { stateId: done.id });
+    ops.push({
+      kind: "update",
+      issueId: previous.id,
+      identifier: previous.identifier,
+      before: { stateId: previous.state.id },
+      summary: `${previous.identifier} status ${previous.state.name} → ${done.name}`,
+    });
+    await addComment(apiKey, previous, `Closed automatically — superseded by ${issue.identifier}.`, ops);
+    return `Closed ${previous.identifier}, still open from last time.`;
+  }
+
+  await addComment(apiKey, previous, `Still open — the next one, ${issue.identifier}, was just created.`, ops);
+  return `Heads up: ${previous.identifier} "${previous.title}" from last time is still ${previous.state.name}.`;
+}
+
+async function addComment(apiKey, issue, body, ops) {
+  const comment = await createComment(apiKey, issue.id, body);
+  ops.push({
+    kind: "create_comment",
+    commentId: comment.id,
+    identifier: issue.identifier,
+    summary: `comment on ${issue.identifier} ("${comment.body.substring(0, 40)}")`,
+  });
+}
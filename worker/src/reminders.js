@@ -0,0 +1,192 @@
+// ─── Reminders ────────────────────────────────────────────────────
+//
+// "Remind me at 3pm to chase the client on YAK-337". Reminders live in the
+// chat's ChatSession storage under `reminders` and fire from the object's
+// alarm, which is always set for the earliest pending one — so they
+// survive deploys and restarts and land on the minute, not on the next
+// cron tick. The agent sets them (create_reminder); /reminders lists them.
+//
+//   { id, text, at, issue, chatId, userId, timezone, firedAt }
+//
+// A fired reminder comes with Snooze buttons and is kept for SNOOZE_WINDOW
+// so they keep working; snoozing puts it back in the queue.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { fetchIssue } from "./linear.js";
+import { sendMessage } from "./telegram.js";
+import { addDays, formatDateTime, localDate, zonedTime } from "./time.js";
+
+const STORAGE_KEY = "reminders";
+const SNOOZE_WINDOW = 2 * 24 * 60 * 60 * 1000; // how long a fired reminder's buttons keep working
+const RETRY_MS = 60 * 1000; // after a failed send
+const TOMORROW_MINUTES = 9 * 60; // "Tomorrow" snoozes to 9:00 local
+const MAX_AHEAD_DAYS = 366;
+
+/**
+ * A chat's reminders, backed by its session's storage. Only ever used
+ * from inside the session queue.
+ */
+export function reminderStore(storage) {
+  return {
+    /** Pending reminders, soonest first. */
+    async list() {
+      return pending(await read(storage));
+    },
+
+    async add(fields) {
+      const reminders = await read(storage);
+      const reminder = { id: crypto.randomUUID().slice(0, 8), ...fields, firedAt: null };
+      reminders.push(reminder);
+      await write(storage, reminders);
+      return reminder;
+    },
+
+    /** Drop a pending reminder. Returns it, or null if there was none. */
+    async cancel(id) {
+      const reminders = await read(storage);
+      const reminder = pending(reminders).find((r) => r.id === String(id).trim().toLowerCase());
+      if (!reminder) return null;
+      await write(storage, reminders.filter((r) => r !== reminder));
+      return reminder;
+    },
+
+    /**
+     * Snooze a reminder — pending, or fired within SNOOZE_WINDOW — by a
+     * button's `option`: minutes, or "tomorrow" for 9:00 local.
+     * Returns it, or null if it's gone.
+     */
+    async snooze(id, option, now = new Date()) {
+      const reminders = await read(storage);
+      const reminder = reminders.find((r) => r.id === id);
+      if (!reminder) return null;
+      Object.assign(reminder, { at: snoozeUntil(option, reminder, now).toISOString(), firedAt: null });
+      await write(storage, reminders);
+      return reminder;
+    },
+  };
+}
+
+/**
+ * Send every reminder that's due. Run from the session's alarm.
+ */
+export async function fireDueReminders(storage, env, now = new Date()) {
+  const reminders = await read(storage);
+  let failed = false;
+
+  for (const reminder of pending(reminders)) {
+    if (new Date(reminder.at) > now) break;
+    try {
+      const text = await reminderMessage(env, reminder);
+      await sendMessage(env.TELEGRAM_BOT_TOKEN, reminder.chatId, text, {
+        replyMarkup: snoozeKeyboard(reminder.id),
+      });
+      reminder.firedAt = now.toISOString();
+    } catch (err) {
+      // Stays pending; the alarm comes back for it
+      console.error(`[Reminders] Couldn't send ${reminder.id}:`, err.message);
+      failed = true;
+    }
+  }
+
+  await write(storage, reminders, failed ? new Date(now.getTime() + RETRY_MS) : null);
+}
+
+/**
+ * When a reminder should fire, from a tool call's `at` ("YYYY-MM-DD HH:MM",
+ * local to `timezone`) or `in_minutes`. Returns { at } or { error }.
+ */
+export function parseWhen({ at, in_minutes: inMinutes }, now, timezone) {
+  let when;
+  if (inMinutes !== undefined) {
+    if (!(Number(inMinutes) > 0)) return { error: "in_minutes must be more than 0." };
+    when = new Date(now.getTime() + Number(inMinutes) * 60 * 1000);
+  } else {
+    const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})$/.exec(String(at || "").trim());
+    if (!match) return { error: 'Give "at" as YYYY-MM-DD HH:MM (24-hour, local time) or "in_minutes".' };
+    const [, date, hours, minutes] = match;
+    if (Number(hours) > 23 || Number(minutes) > 59) return { error: `"${at}" isn't a valid time.` };
+    when = zonedTime(date, Number(hours) * 60 + Number(minutes), timezone);
+    if (when <= now) return { error: `${at} (${timezone}) has already passed.` };
+  }
+  if (when > new Date(now.getTime() + MAX_AHEAD_DAYS * 24 * 60 * 60 * 1000)) {
+    return { error: `Reminders can be at most ${MAX_AHEAD_DAYS} days ahead.` };
+  }
+  return { at: when };
+}
+
+export function snoozeKeyboard(id) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "Snooze 15m", callback_data: `snooze:${id}:15` },
+        { text: "1h", callback_data: `snooze:${id}:60` },
+        { text: "Tomorrow 9am", callback_data: `snooze:${id}:tomorrow` },
+      ],
+    ],
+  };
+}
+
+export function describeReminder(reminder) {
+  const issue = reminder.issue ? ` (${reminder.issue})` : "";
+  return `${reminder.id} — ${formatDateTime(new Date(reminder.at), reminder.timezone)}: ${reminder.text}${issue}`;
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+function snoozeUntil(option, reminder, now) {
+  if (option === "tomorrow") {
+    return zonedTime(addDays(localDate(now, reminder.timezone), 1), TOMORROW_MINUTES, reminder.timezone);
+  }
+  return new Date(now.getTime() + (Number(option) || 60) * 60 * 1000);
+}
+
+// The reminder text, plus where its issue stands right now
+async function reminderMessage(env, reminder) {
+  const lines = [`Reminder: ${reminder.text}`];
+  if (reminder.issue) {
+    try {
+      const issue = await fetchIssue(env.LINEAR_API_KEY, reminder.issue);
+      if (issue) {
+        const details = [
+          issue.state?.name,
+          issue.assignee?.name || "unassigned",
+          issue.dueDate && `due ${issue.dueDate}`,
+        ].filter(Boolean);
+        lines.push(`${issue.identifier} "${issue.title}" — ${details.join(" · ")}`, issue.url);
+      } else {
+        lines.push(`${reminder.issue} no longer exists in Linear.`);
+      }
+    } catch (err) {
+      // Still worth sending the reminder itself
+      lines.push(`(Couldn't load ${reminder.issue}: ${err.message})`);
+    }
+  }
+  return lines.join("\n");
+}
+
+function pending(reminders) {
+  return reminders.filter((r) => !r.firedAt).sort((a, b) => a.at.localeCompare(b.at));
+}
+
+async function read(storage) {
+  return (await storage.get(STORAGE_KEY)) || [];
+}
+
+/**
+ * Save, forget fired reminders past SNOOZE_WINDOW, and point the alarm at
+ * the next pending one (no sooner than `notBefore`, if given).
+ */
+async function write(storage, reminders, notBefore = null) {
+  const cutoff = Date.now() - SNOOZE_WINDOW;
+  const kept = reminders.filter((r) => !r.firedAt || Date.parse(r.firedAt) > cutoff);
+  await storage.put(STORAGE_KEY, kept);
+
+  const [next] = pending(kept);
+  if (!next) {
+    await storage.deleteAlarm();
+    return;
+  }
+  const at = Date.parse(next.at);
+  await storage.setAlarm(notBefore ? Math.max(at, notBefore.getTime()) : at);
+}
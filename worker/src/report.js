@@ -0,0 +1,399 @@
+// ─── Structured Briefing Document ─────────────────────────────────
+//
+// Shared by the Worker and the standalone script. Claude fills in the
+// briefing through a forced `submit_briefing` tool call, the result is
+// validated against BRIEFING_SCHEMA, and the same document is rendered
+// per channel:
+//
+//   Telegram HTML  — clickable issue links       (renderTelegramHtml)
+//   plain text     — latest.txt / iMessage        (renderPlainText)
+//   Markdown       — the archive                  (renderMarkdown)
+//   JSON           — stored alongside the archive (JSON.stringify)
+//
+// Document shape:
+//   {
+//     title, banners: [string],
+//     sections: [{ id, title, summary?, grouped?, notes?: [string],
+//                  items: [{ identifier?, title, url?, project?, group?, reason? }] }],
+//     actions: [string]
+//   }
+//
+// Items in a `grouped` section are listed under their `group` heading.
+// A briefing covering several teams groups every body section by team.
+// The SINCE LAST BRIEFING, STALE WORK and fallback sections are built by
+// their own modules (snapshot.js, staleness.js, fallback.js) in this shape.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { DEFAULT_TIMEZONE, formatDate } from "./time.js";
+
+/**
+ * The default briefing layout, in order. Chats can pick, reorder or add
+ * sections with /settings (see settings.js); the rule-based fallback only
+ * knows how to fill these four. {name} is replaced with the owner's first name.
+ */
+export const BRIEFING_SECTIONS = [
+  {
+    id: "top",
+    title: "TOP PRIORITY",
+    instructions: "What must get done today. If something is overdue or due today, call it out hard.",
+  },
+  {
+    id: "week",
+    title: "THIS WEEK",
+    instructions: "What needs progress this week. Set each item's project — they're grouped by project.",
+    grouped: true,
+  },
+  {
+    id: "blocked",
+    title: "BLOCKED / WAITING",
+    instructions: "Anything that's stuck and needs {name} to unblock it.",
+  },
+  {
+    id: "low",
+    title: "LOW PRIORITY",
+    instructions: "Things that exist but aren't urgent. Just a quick reminder they're there.",
+  },
+];
+
+const ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    identifier: { type: "string", description: "Issue identifier, e.g. 'YAK-42'. Omit for items about several issues." },
+    title: { type: "string", description: "Short label for the item (issue title or a group name)" },
+    project: { type: "string", description: "Project name, if the item belongs to one" },
+    reason: { type: "string", description: "One punchy line: why it matters / what to do" },
+  },
+  required: ["title", "reason"],
+};
+
+/** JSON schema for the submit_briefing tool input. */
+export const BRIEFING_SCHEMA = {
+  type: "object",
+  properties: {
+    sections: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "Section id from the format list" },
+          summary: { type: "string", description: "Optional one-line framing for the section" },
+          items: { type: "array", items: ITEM_SCHEMA },
+        },
+        required: ["id", "items"],
+      },
+    },
+    actions: {
+      type: "array",
+      description: "Optional short list of concrete action items for today",
+      items: { type: "string" },
+    },
+  },
+  required: ["sections"],
+};
+
+export const BRIEFING_TOOL = {
+  name: "submit_briefing",
+  description: "Submit the daily briefing as structured sections.",
+  input_schema: BRIEFING_SCHEMA,
+};
+
+// ─── Prompt ───────────────────────────────────────────────────────
+
+/**
+ * The briefing prompt, identical for the Worker and the script. `settings`
+ * (see settings.js) supplies the owner, tone, sections and length.
+ */
+export function buildBriefingPrompt({ issues, settings, now = new Date(), timezone = DEFAULT_TIMEZONE, sinceText, staleText }) {
+  const name = settings.ownerName.split(/\s+/)[0];
+  const dayName = formatDate(now, timezone, { weekday: "long" });
+  const dateStr = formatDate(now, timezone, {
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+
+  const issuesSummary = issues
+    .map(
+      (i) =>
+        `- ${i.identifier}: "${i.title}" | Team: ${i.team?.name || "?"} | Project: ${i.project?.name || "No Project"} | Status: ${i.state?.name || "Unknown"} | Priority: ${i.priorityLabel} | Assignee: ${i.assignee?.name || "Unassigned"} | Due: ${i.dueDate || "No due date"} | Labels: ${i.labels?.nodes?.map((l) => l.name).join(", ") || "none"} | Desc: ${(i.description || "").substring(0, 200)}`
+    )
+    .join("\n");
+
+  const format = settings.sections
+    .map((s, idx) => `${idx + 1}. ${s.title} (id "${s.id}") — ${s.instructions.replaceAll("{name}", name)}`)
+    .join("\n");
+
+  return `You are a ${settings.tone} executive assistant for ${settings.ownerName} who runs ${settings.company}, ${settings.about}. Today is ${dayName}, ${dateStr}.
+
+Here are all active issues from Linear:
+
+${issuesSummary}
+${sinceText ? `\nHere is what changed since the last briefing (it's shown above your briefing, so only call out what matters):\n\n${sinceText}\n` : ""}${staleText ? `\nStaleness has already been computed — a ranked STALE WORK list is appended after your briefing, so don't repeat it. Use it to decide what to call out:\n\n${staleText}\n` : ""}
+Generate a concise daily briefing for ${name} by calling submit_briefing. Use these sections, in order:
+
+${format}
+
+Keep it punchy and actionable. No fluff. Each reason is one short line of plain text (no markdown). Reference issues by identifier so they can be linked. Keep the whole thing under ${settings.maxChars} characters of text so it's readable on a phone screen.`;
+}
+
+// ─── Validation & Normalization ───────────────────────────────────
+
+/**
+ * Validate a value against a (small subset of) JSON schema: type, required,
+ * properties, items, enum. Returns a list of error strings; empty means valid.
+ */
+export function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+  const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+
+  if (schema.type && actual !== schema.type) {
+    return [`${path}: expected ${schema.type}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], sub, `${path}.${key}`));
+    }
+  }
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, idx) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${idx}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Turn validated submit_briefing input into a briefing document: section
+ * titles from `sections` (the layout the prompt asked for), urls/projects
+ * filled in from the issues. Throws if the input doesn't match the schema.
+ */
+export function normalizeBriefing(
+  input,
+  issues,
+  { now = new Date(), timezone = DEFAULT_TIMEZONE, sections: layout = BRIEFING_SECTIONS } = {}
+) {
+  const errors = validateAgainstSchema(input, BRIEFING_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Briefing failed schema validation: ${errors.slice(0, 5).join("; ")}`);
+  }
+
+  const sections = layout.map((def) => {
+    const submitted = input.sections.find((s) => s.id === def.id) || { items: [] };
+    return {
+      id: def.id,
+      title: def.title,
+      summary: submitted.summary,
+      grouped: def.grouped || false,
+      items: submitted.items.map((item) => ({
+        identifier: item.identifier?.toUpperCase(),
+        title: item.title,
+        project: item.project,
+        reason: item.reason,
+      })),
+    };
+  });
+
+  return linkItems(
+    { title: briefingTitle(now, timezone), banners: [], sections, actions: input.actions || [] },
+    issues
+  );
+}
+
+/**
+ * Fill in url and project for every item whose identifier matches one of
+ * `issues`, and default the group of items in grouped sections to their
+ * project. Returns a new document.
+ */
+export function linkItems(doc, issues) {
+  const byIdentifier = new Map(issues.map((i) => [i.identifier, i]));
+  return {
+    ...doc,
+    sections: doc.sections.map((section) => ({
+      ...section,
+      items: section.items.map((item) => {
+        const issue = item.identifier ? byIdentifier.get(item.identifier) : null;
+        const project = item.project || issue?.project?.name;
+        return {
+          ...item,
+          url: item.url || issue?.url,
+          project,
+          group: section.grouped ? item.group || project || "No Project" : item.group,
+        };
+      }),
+    })),
+  };
+}
+
+/**
+ * Put a briefing together for sending: today's title, extra banners on top
+ * (falsy entries dropped), sections `before` and `after` the body, and
+ * issue links filled in. With more than one of `teamKeys`, the body is
+ * grouped by team, in that order.
+ */
+export function assembleBriefing(
+  doc,
+  {
+    issues = [],
+    now = new Date(),
+    timezone = DEFAULT_TIMEZONE,
+    banners = [],
+    before = [],
+    after = [],
+    teamKeys = [],
+  } = {}
+) {
+  const body =
+    teamKeys.length > 1 ? groupByTeam(linkItems(doc, issues).sections, issues, teamKeys) : doc.sections;
+  return linkItems(
+    {
+      ...doc,
+      title: briefingTitle(now, timezone),
+      banners: [...banners, ...(doc.banners || [])].filter(Boolean),
+      sections: [...before, ...body, ...after].filter(Boolean),
+    },
+    issues
+  );
+}
+
+/**
+ * Group every item under its issue's team ("Team · Project" in sections
+ * already grouped by project), teams in `teamKeys` order. Items that
+ * aren't about one issue go last, under "Other".
+ */
+function groupByTeam(sections, issues, teamKeys) {
+  const teamOf = new Map(issues.map((i) => [i.identifier, i.team]));
+  const rank = (item) => {
+    const idx = teamKeys.indexOf(teamOf.get(item.identifier)?.key);
+    return idx === -1 ? teamKeys.length : idx;
+  };
+  return sections.map((section) => ({
+    ...section,
+    grouped: true,
+    items: [...section.items]
+      .sort((a, b) => rank(a) - rank(b))
+      .map((item) => {
+        const team = teamOf.get(item.identifier)?.name || "Other";
+        return { ...item, group: section.grouped ? `${team} · ${item.group}` : team };
+      }),
+  }));
+}
+
+/** True if a cached value is a briefing document (not a legacy text briefing). */
+export function isBriefingDoc(value) {
+  return Boolean(value && typeof value === "object" && Array.isArray(value.sections));
+}
+
+export function briefingTitle(now = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const date = formatDate(now, timezone, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+  return `DAILY BRIEFING — ${date}`;
+}
+
+// ─── Renderers ────────────────────────────────────────────────────
+
+/** Plain text for latest.txt and the iMessage Shortcut. */
+export function renderPlainText(doc) {
+  return render(doc, {
+    heading: (text) => text,
+    banner: (text) => text,
+    text: (text) => text,
+    item: (item) => `- ${itemLabel(item)}${item.reason ? ` — ${item.reason}` : ""}`,
+    group: (name) => name,
+  });
+}
+
+/** Markdown for the archive. */
+export function renderMarkdown(doc) {
+  return render(doc, {
+    title: (text) => `# ${text}`,
+    heading: (text) => `## ${text}`,
+    banner: (text) => `> ${text}`,
+    text: (text) => text,
+    item: (item) => {
+      const label = item.identifier
+        ? `${item.url ? `[${item.identifier}](${item.url})` : `**${item.identifier}**`} ${item.title}`
+        : item.title;
+      return `- ${label}${item.reason ? ` — ${item.reason}` : ""}`;
+    },
+    group: (name) => `**${name}**`,
+  });
+}
+
+/** Telegram HTML (parse_mode: "HTML") with clickable issue links. */
+export function renderTelegramHtml(doc) {
+  return render(doc, {
+    heading: (text) => `<b>${escapeHtml(text)}</b>`,
+    banner: (text) => `<i>${escapeHtml(text)}</i>`,
+    text: (text) => escapeHtml(text),
+    item: (item) => {
+      const id = item.identifier
+        ? item.url
+          ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.identifier)}</a> `
+          : `${escapeHtml(item.identifier)} `
+        : "";
+      return `• ${id}${escapeHtml(item.title)}${item.reason ? ` — ${escapeHtml(item.reason)}` : ""}`;
+    },
+    group: (name) => `<u>${escapeHtml(name)}</u>`,
+  });
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+function render(doc, fmt) {
+  const blocks = [];
+  if (doc.title) blocks.push((fmt.title || fmt.heading)(doc.title));
+  for (const banner of doc.banners || []) blocks.push(fmt.banner(banner));
+
+  for (const section of doc.sections) {
+    if (section.items.length === 0 && !section.summary && !section.notes?.length) continue;
+    const lines = [fmt.heading(section.title)];
+    if (section.summary) lines.push(fmt.text(section.summary));
+
+    if (section.grouped) {
+      for (const [group, items] of groupItems(section.items)) {
+        lines.push(fmt.group(group), ...items.map(fmt.item));
+      }
+    } else {
+      lines.push(...section.items.map(fmt.item));
+    }
+
+    if (section.notes?.length) lines.push("", ...section.notes.map(fmt.text));
+    blocks.push(lines.join("\n"));
+  }
+
+  if (doc.actions?.length) {
+    blocks.push(
+      [fmt.heading("ACTION ITEMS"), ...doc.actions.map((a, idx) => fmt.text(`${idx + 1}. ${a}`))].join("\n")
+    );
+  }
+  if (doc.footer) blocks.push(fmt.text(doc.footer));
+
+  return blocks.join("\n\n");
+}
+
+function groupItems(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const group = item.group || "Other";
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(item);
+  }
+  return [...groups.entries()];
+}
+
+function itemLabel(item) {
+  return item.identifier ? `${item.identifier} ${item.title}` : item.title;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
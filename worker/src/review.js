@@ -0,0 +1,347 @@
+// ─── Weekly Review ────────────────────────────────────────────────
+//
+// Shared by the Worker (weekly.js) and the standalone script
+// (scripts/weekly-review.js). Once a week — REVIEW_DAY, Friday by
+// default — the last seven local days are pulled from Linear and boiled
+// down to numbers:
+//
+//   throughput  — issues completed, created and canceled, overall and per project
+//   cycle time  — createdAt → completedAt of everything completed, in days
+//   slipped     — due this week and still open, or completed after the due date
+//   backlog     — open issues at the start of the week vs. now
+//
+// Claude gets the numbers plus the issues behind them and writes a short
+// retrospective and next week's focus through a forced `submit_review`
+// tool call. The result is a briefing document (see report.js), so it
+// renders for Telegram, the archive and plain text like the briefing.
+// The raw stats are stored next to it: KV in the Worker, a JSON file in
+// the script.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { fetchActiveIssues, fetchIssues } from "./linear.js";
+import { validateAgainstSchema, linkItems } from "./report.js";
+import { addDays, daysBetween, formatDate, localDate, zonedTime } from "./time.js";
+
+const WEEK_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PROJECTS = 10;
+const MAX_SLIPPED = 10;
+const MAX_PROMPT_ISSUES = 40; // per list in the prompt
+const MAX_FOCUS = 5;
+
+// ─── Fetching ─────────────────────────────────────────────────────
+
+/**
+ * The review week ending on `now`'s local date: seven days, today included.
+ */
+export function reviewWeek(now, timezone) {
+  const end = localDate(now, timezone);
+  const start = addDays(end, 1 - WEEK_DAYS);
+  return { start, end, timezone, since: zonedTime(start, 0, timezone).toISOString() };
+}
+
+/**
+ * Everything the review is computed from: issues completed, created and
+ * canceled during `week`, issues due during it (any state), and the open
+ * issues right now.
+ */
+export async function fetchWeekActivity(apiKey, teamKeys, week, opts) {
+  const team = { key: { in: teamKeys } };
+  const [completed, created, canceled, due, open] = await Promise.all([
+    fetchIssues(apiKey, { team, completedAt: { gte: week.since } }, opts),
+    fetchIssues(apiKey, { team, createdAt: { gte: week.since } }, opts),
+    fetchIssues(apiKey, { team, canceledAt: { gte: week.since } }, opts),
+    fetchIssues(apiKey, { team, dueDate: { gte: week.start, lte: week.end } }, opts),
+    fetchActiveIssues(apiKey, teamKeys, opts),
+  ]);
+  const truncated = [completed, created, canceled, due, open].some((list) => list.truncated);
+  return { completed, created, canceled, due, open, truncated };
+}
+
+// ─── Stats ────────────────────────────────────────────────────────
+
+/**
+ * The raw numbers for a week. Plain JSON — this is what gets stored.
+ */
+export function computeReviewStats(activity, week) {
+  const { completed, created, canceled, due, open } = activity;
+  const cycleDays = completed.map((i) => ({
+    identifier: i.identifier,
+    project: i.project?.name || null,
+    days: round((Date.parse(i.completedAt) - Date.parse(i.createdAt)) / DAY_MS),
+  }));
+
+  // Counts now, minus what the week added, plus what it closed
+  const openEnd = open.length;
+  const openStart = openEnd - created.length + completed.length + canceled.length;
+
+  return {
+    week: { start: week.start, end: week.end, timezone: week.timezone },
+    completed: completed.length,
+    created: created.length,
+    canceled: canceled.length,
+    open: { start: openStart, end: openEnd, change: openEnd - openStart },
+    cycleTime: cycleSummary(cycleDays),
+    projects: projectStats(activity, cycleDays),
+    slipped: findSlipped(due, week),
+    completedIssues: cycleDays,
+    truncated: activity.truncated || false,
+  };
+}
+
+function cycleSummary(cycleDays) {
+  if (cycleDays.length === 0) return null;
+  const slowest = cycleDays.reduce((a, b) => (b.days > a.days ? b : a));
+  return {
+    median: median(cycleDays.map((c) => c.days)),
+    average: round(cycleDays.reduce((sum, c) => sum + c.days, 0) / cycleDays.length),
+    slowest: { identifier: slowest.identifier, days: slowest.days },
+  };
+}
+
+// Per project, busiest first
+function projectStats({ completed, created, canceled }, cycleDays) {
+  const projects = new Map();
+  const entry = (name) => {
+    if (!projects.has(name)) projects.set(name, { name, completed: 0, created: 0, canceled: 0, cycleTimeMedian: null });
+    return projects.get(name);
+  };
+  for (const issue of completed) entry(issue.project?.name || null).completed++;
+  for (const issue of created) entry(issue.project?.name || null).created++;
+  for (const issue of canceled) entry(issue.project?.name || null).canceled++;
+
+  for (const project of projects.values()) {
+    const days = cycleDays.filter((c) => c.project === project.name).map((c) => c.days);
+    project.cycleTimeMedian = days.length > 0 ? median(days) : null;
+  }
+  return [...projects.values()].sort(
+    (a, b) => b.completed - a.completed || b.created - a.created || String(a.name).localeCompare(String(b.name))
+  );
+}
+
+/**
+ * Due during the week and either still open past the due date or
+ * completed after it. Due today and still open isn't late yet.
+ */
+function findSlipped(due, week) {
+  const slipped = [];
+  for (const issue of due) {
+    const type = issue.state?.type;
+    if (type === "canceled") continue;
+    const completedOn = issue.completedAt ? localDate(new Date(issue.completedAt), week.timezone) : null;
+    const late = type === "completed" ? completedOn > issue.dueDate : issue.dueDate < week.end;
+    if (!late) continue;
+    slipped.push({
+      identifier: issue.identifier,
+      title: issue.title,
+      dueDate: issue.dueDate,
+      state: issue.state?.name || null,
+      completedOn: type === "completed" ? completedOn : null,
+      daysLate: daysBetween(issue.dueDate, completedOn || week.end),
+    });
+  }
+  return slipped.sort((a, b) => b.daysLate - a.daysLate || a.dueDate.localeCompare(b.dueDate));
+}
+
+/**
+ * The numbers as plain lines, for the prompt.
+ */
+export function renderStatsText(stats, previous = null) {
+  const lines = [
+    `Completed ${stats.completed}${lastWeek(previous?.completed)}, created ${stats.created}, canceled ${stats.canceled}.`,
+    `Open issues ${stats.open.start} → ${stats.open.end} (${signed(stats.open.change)}).`,
+    stats.cycleTime
+      ? `Cycle time (created → completed): median ${stats.cycleTime.median}d${lastWeek(previous?.cycleTime?.median, "d")}, average ${stats.cycleTime.average}d, slowest ${stats.cycleTime.slowest.identifier} at ${stats.cycleTime.slowest.days}d.`
+      : "Nothing completed, so no cycle time.",
+    "Per project:",
+    ...stats.projects.map((p) => `- ${p.name || "No Project"}: ${describeProject(p)}`),
+    `Slipped due dates: ${stats.slipped.length}`,
+    ...stats.slipped.map((s) => `- ${s.identifier} "${s.title}": ${describeSlip(s)}`),
+  ];
+  return lines.join("\n");
+}
+
+// ─── Claude ───────────────────────────────────────────────────────
+
+const REVIEW_SCHEMA = {
+  type: "object",
+  properties: {
+    retrospective: {
+      type: "string",
+      description: "3-5 sentences: what went well, what dragged, any pattern in the numbers. Plain text.",
+    },
+    focus: {
+      type: "array",
+      description: `Up to ${MAX_FOCUS} things to focus on next week, most important first`,
+      items: {
+        type: "object",
+        properties: {
+          identifier: { type: "string", description: "Issue identifier, e.g. 'YAK-42', if the item is about one issue" },
+          title: { type: "string", description: "Short label for the focus item" },
+          reason: { type: "string", description: "One line: why it matters next week" },
+        },
+        required: ["title"],
+      },
+    },
+  },
+  required: ["retrospective", "focus"],
+};
+
+export const REVIEW_TOOL = {
+  name: "submit_review",
+  description: "Submit the weekly retrospective and next week's focus.",
+  input_schema: REVIEW_SCHEMA,
+};
+
+/**
+ * The review prompt, identical for the Worker and the script.
+ */
+export function buildReviewPrompt({ stats, activity, settings, previous = null, now = new Date(), timezone }) {
+  const name = settings.ownerName.split(/\s+/)[0];
+  const dateStr = formatDate(now, timezone, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+  const cycle = new Map(stats.completedIssues.map((c) => [c.identifier, c.days]));
+
+  const completedList = activity.completed
+    .slice(0, MAX_PROMPT_ISSUES)
+    .map((i) => `- ${i.identifier}: "${i.title}" | Project: ${i.project?.name || "No Project"} | Assignee: ${i.assignee?.name || "Unassigned"} | Cycle: ${cycle.get(i.identifier)}d`)
+    .join("\n");
+  const openList = [...activity.open]
+    .sort((a, b) => rank(a.priority) - rank(b.priority) || (a.dueDate || "9999").localeCompare(b.dueDate || "9999"))
+    .slice(0, MAX_PROMPT_ISSUES)
+    .map((i) => `- ${i.identifier}: "${i.title}" | Project: ${i.project?.name || "No Project"} | Status: ${i.state?.name || "Unknown"} | Priority: ${i.priorityLabel} | Due: ${i.dueDate || "No due date"}`)
+    .join("\n");
+
+  return `You are a ${settings.tone} executive assistant for ${settings.ownerName} who runs ${settings.company}, ${settings.about}. Today is ${dateStr} — time for the weekly review of ${stats.week.start} to ${stats.week.end}.
+
+The numbers (they're shown above your part, so don't restate them — interpret them):
+
+${renderStatsText(stats, previous)}
+
+Completed this week:
+${completedList || "(nothing)"}
+
+Still open, most urgent first:
+${openList || "(nothing)"}
+
+Write ${name}'s weekly retrospective and next week's focus by calling submit_review. Be honest about what slipped. Plain text, no markdown. Reference issues by identifier so they can be linked.`;
+}
+
+/**
+ * Validate submit_review input. Throws if it doesn't match the schema.
+ */
+export function normalizeReview(input) {
+  const errors = validateAgainstSchema(input, REVIEW_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Review failed schema validation: ${errors.slice(0, 5).join("; ")}`);
+  }
+  return {
+    retrospective: input.retrospective.trim(),
+    focus: input.focus.slice(0, MAX_FOCUS).map((item) => ({
+      identifier: item.identifier?.toUpperCase(),
+      title: item.title,
+      reason: item.reason,
+    })),
+  };
+}
+
+// ─── Document ─────────────────────────────────────────────────────
+
+/**
+ * The review as a briefing document. `review` is null when Claude
+ * couldn't be reached — the numbers still go out.
+ */
+export function buildReviewDoc(stats, review, { activity, previous = null }) {
+  const { start, end, timezone } = stats.week;
+  const banners = [];
+  if (stats.truncated) banners.push("Heads up: some lists hit LINEAR_MAX_ITEMS, so these numbers may be low.");
+  if (!review) banners.push("[No retrospective this week — Claude was unavailable. The numbers are below.]");
+
+  const projects = stats.projects.slice(0, MAX_PROJECTS);
+  const moreProjects = stats.projects.length - projects.length;
+  const slipped = stats.slipped.slice(0, MAX_SLIPPED);
+  const moreSlipped = stats.slipped.length - slipped.length;
+
+  const sections = [
+    {
+      id: "numbers",
+      title: "THE WEEK IN NUMBERS",
+      items: [
+        { title: "Completed", reason: `${stats.completed}${lastWeek(previous?.completed)}` },
+        { title: "Created", reason: `${stats.created}${lastWeek(previous?.created)}` },
+        { title: "Canceled", reason: String(stats.canceled) },
+        { title: "Open issues", reason: `${stats.open.start} → ${stats.open.end} (${signed(stats.open.change)})` },
+        {
+          title: "Cycle time",
+          reason: stats.cycleTime
+            ? `median ${stats.cycleTime.median}d${lastWeek(previous?.cycleTime?.median, "d")}, average ${stats.cycleTime.average}d`
+            : "nothing completed",
+        },
+      ],
+    },
+    {
+      id: "projects",
+      title: "BY PROJECT",
+      items: projects.map((p) => ({ title: p.name || "No Project", reason: describeProject(p) })),
+      notes: moreProjects > 0 ? [`+${moreProjects} more in the stats.`] : [],
+    },
+    {
+      id: "slipped",
+      title: `SLIPPED DUE DATES (${stats.slipped.length})`,
+      items: slipped.map((s) => ({ identifier: s.identifier, title: s.title, reason: describeSlip(s) })),
+      notes: stats.slipped.length === 0 ? ["Nothing slipped."] : moreSlipped > 0 ? [`+${moreSlipped} more in the stats.`] : [],
+    },
+  ];
+  if (review) {
+    sections.push(
+      { id: "retro", title: "RETROSPECTIVE", summary: review.retrospective, items: [] },
+      { id: "focus", title: "NEXT WEEK", items: review.focus }
+    );
+  }
+
+  const issues = [...activity.completed, ...activity.due, ...activity.open];
+  return linkItems({ title: reviewTitle(start, end), banners, sections, actions: [] }, issues);
+}
+
+function reviewTitle(start, end) {
+  const format = (date, options) => formatDate(new Date(Date.parse(date)), "UTC", options);
+  return `WEEKLY REVIEW — ${format(start, { month: "short", day: "numeric" })} to ${format(end, { month: "short", day: "numeric", year: "numeric" })}`;
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+function describeProject(p) {
+  const parts = [`${p.completed} done`, `${p.created} new`];
+  if (p.canceled) parts.push(`${p.canceled} canceled`);
+  if (p.cycleTimeMedian !== null) parts.push(`median cycle ${p.cycleTimeMedian}d`);
+  return parts.join(" · ");
+}
+
+function describeSlip(s) {
+  return s.completedOn
+    ? `due ${s.dueDate}, done ${s.completedOn} (${s.daysLate}d late)`
+    : `due ${s.dueDate}, still ${s.state || "open"} (${s.daysLate}d late)`;
+}
+
+function lastWeek(value, unit = "") {
+  return value === undefined || value === null ? "" : ` (last week ${value}${unit})`;
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Linear priority 0 is "none", which ranks below Low (4)
+function rank(priority) {
+  return priority === 0 || priority === undefined ? 5 : priority;
+}
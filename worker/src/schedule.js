@@ -0,0 +1,277 @@
+// ─── Briefing Schedule ────────────────────────────────────────────
+//
+// When each chat gets its briefing: a local time, weekdays and an IANA
+// timezone, stored in KV under `briefing_schedule:<chatId>` and edited
+// with /schedule. The cron fires every 15 minutes and dispatches a chat's
+// briefing once its local time has passed the scheduled time (within
+// MAX_LATE_MINUTES, so a missed tick still delivers but changing the time
+// to earlier in the day doesn't fire one immediately).
+//
+// The evening check-in (checkin.js) runs off the same record: its own
+// local time (`checkinTime`, null when off, edited with /checkin) on the
+// same days and timezone. So does the weekly review (weekly.js): one
+// weekday (`reviewDay`, null when off) and time, edited with /review.
+//
+// isDue() and isReviewDue() are pure and shared with the standalone scripts.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { DEFAULT_TIMEZONE, isValidTimeZone, localClock } from "./time.js";
+
+const KEY_PREFIX = "briefing_schedule:";
+export const MAX_LATE_MINUTES = 60;
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_PRESETS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+};
+
+/**
+ * The default schedule from env vars (BRIEFING_TIME, BRIEFING_DAYS, TIMEZONE,
+ * CHECKIN_TIME, REVIEW_DAY, REVIEW_TIME).
+ */
+export function defaultSchedule(env) {
+  return {
+    enabled: true,
+    time: env.BRIEFING_TIME || "07:00",
+    days: parseDays(env.BRIEFING_DAYS || "mon-fri") || DAY_PRESETS.weekdays,
+    timezone: env.TIMEZONE || DEFAULT_TIMEZONE,
+    lastBriefingDate: null,
+    briefingFailedDate: null,
+    checkinTime: env.CHECKIN_TIME === "off" ? null : parseTime(env.CHECKIN_TIME || "") || "17:30",
+    lastCheckinDate: null,
+    checkinFailedDate: null,
+    reviewDay: env.REVIEW_DAY === "off" ? null : parseDay(env.REVIEW_DAY || "") ?? 5,
+    reviewTime: parseTime(env.REVIEW_TIME || "") || "16:00",
+    lastReviewDate: null,
+  };
+}
+
+/**
+ * A chat's schedule, with defaults filled in for anything not stored.
+ */
+export async function getSchedule(env, chatId) {
+  let stored = null;
+  try {
+    stored = await env.KV.get(KEY_PREFIX + chatId, "json");
+  } catch {
+    stored = null;
+  }
+  return { ...defaultSchedule(env), ...stored };
+}
+
+export async function saveSchedule(kv, chatId, schedule) {
+  await kv.put(KEY_PREFIX + chatId, JSON.stringify(schedule));
+}
+
+/**
+ * Record that today's briefing went out. Only touches lastBriefingDate, so
+ * a chat that never ran /schedule keeps following the env defaults.
+ */
+export async function markBriefingSent(kv, chatId, date) {
+  await markSent(kv, chatId, { lastBriefingDate: date });
+}
+
+/**
+ * Undo markBriefingSent after a failed run, so the next tick inside the
+ * window tries again. `briefingFailedDate` lets the failure be reported
+ * only once a day.
+ */
+export async function markBriefingFailed(kv, chatId, date) {
+  await markSent(kv, chatId, { lastBriefingDate: null, briefingFailedDate: date });
+}
+
+/**
+ * Record that today's check-in went out, the same way.
+ */
+export async function markCheckinSent(kv, chatId, date) {
+  await markSent(kv, chatId, { lastCheckinDate: date });
+}
+
+/**
+ * And unmark it after a failed run, like markBriefingFailed.
+ */
+export async function markCheckinFailed(kv, chatId, date) {
+  await markSent(kv, chatId, { lastCheckinDate: null, checkinFailedDate: date });
+}
+
+/**
+ * And this week's review.
+ */
+export async function markReviewSent(kv, chatId, date) {
+  await markSent(kv, chatId, { lastReviewDate: date });
+}
+
+/**
+ * True if the briefing should go out now: a scheduled weekday, at or past
+ * the scheduled local time (by at most `maxLateMinutes`), and not already
+ * sent today (`lastBriefingDate`, a local "YYYY-MM-DD").
+ */
+export function isDue(schedule, now = new Date(), maxLateMinutes = MAX_LATE_MINUTES) {
+  if (!schedule.enabled) return false;
+  return isDueAt(schedule, schedule.time, schedule.lastBriefingDate, now, maxLateMinutes);
+}
+
+/**
+ * Same for the evening check-in, at `checkinTime` — independent of whether
+ * the briefing itself is on.
+ */
+export function isCheckinDue(schedule, now = new Date(), maxLateMinutes = MAX_LATE_MINUTES) {
+  if (!schedule.checkinTime) return false;
+  return isDueAt(schedule, schedule.checkinTime, schedule.lastCheckinDate, now, maxLateMinutes);
+}
+
+/**
+ * Same for the weekly review, on `reviewDay` at `reviewTime`.
+ */
+export function isReviewDue(schedule, now = new Date(), maxLateMinutes = MAX_LATE_MINUTES) {
+  if (schedule.reviewDay === null) return false;
+  const weekly = { ...schedule, days: [schedule.reviewDay] };
+  return isDueAt(weekly, schedule.reviewTime, schedule.lastReviewDate, now, maxLateMinutes);
+}
+
+/**
+ * Parse /schedule arguments — any of a time ("7:30", "07:30", "7am",
+ * "6:45pm"), days ("weekdays", "daily", "mon-fri", "mon,wed,fri") and a
+ * timezone ("America/Denver", "UTC"), in any order. Anything omitted keeps
+ * its current value. Returns { schedule } or { error }.
+ */
+export function parseScheduleArgs(args, current) {
+  const schedule = { ...current, enabled: true };
+  for (const arg of args) {
+    const time = parseTime(arg);
+    const days = time ? null : parseDays(arg);
+    if (time) {
+      schedule.time = time;
+    } else if (days) {
+      schedule.days = days;
+    } else if (isValidTimeZone(arg)) {
+      schedule.timezone = arg;
+    } else {
+      return { error: `Didn't understand "${arg}". Expected a time (7:30), days (mon-fri) or a timezone (America/Denver).` };
+    }
+  }
+  // A new time or timezone shouldn't be blocked by today's earlier send
+  if (schedule.time !== current.time || schedule.timezone !== current.timezone) {
+    schedule.lastBriefingDate = null;
+  }
+  if (schedule.timezone !== current.timezone) {
+    schedule.lastCheckinDate = null;
+    schedule.lastReviewDate = null;
+  }
+  return { schedule };
+}
+
+/**
+ * Parse /review arguments — a weekday ("fri", "friday") and/or a time, in
+ * either order. Returns { schedule } or { error }.
+ */
+export function parseReviewArgs(args, current) {
+  const schedule = { ...current };
+  for (const arg of args) {
+    const time = parseTime(arg);
+    const day = time ? null : parseDay(arg);
+    if (time) {
+      schedule.reviewTime = time;
+    } else if (day !== null) {
+      schedule.reviewDay = day;
+    } else {
+      return { error: `Didn't understand "${arg}". Expected a weekday (fri) or a time (16:00).` };
+    }
+  }
+  if (schedule.reviewDay === null) schedule.reviewDay = 5;
+  if (schedule.reviewDay !== current.reviewDay || schedule.reviewTime !== current.reviewTime) {
+    schedule.lastReviewDate = null;
+  }
+  return { schedule };
+}
+
+export function describeSchedule(schedule) {
+  if (!schedule.enabled) return "Daily briefing is off. /schedule 7:30 turns it back on.";
+  return `Briefing at ${schedule.time} ${describeDays(schedule.days)} (${schedule.timezone}).`;
+}
+
+export function describeCheckin(schedule) {
+  if (!schedule.checkinTime) return "Evening check-in is off. /checkin 17:30 turns it back on.";
+  return `Check-in at ${schedule.checkinTime} ${describeDays(schedule.days)} (${schedule.timezone}). /schedule sets the days and timezone.`;
+}
+
+export function describeReview(schedule) {
+  if (schedule.reviewDay === null) return "Weekly review is off. /review fri 16:00 turns it back on.";
+  return `Weekly review at ${schedule.reviewTime} ${describeDays([schedule.reviewDay])} (${schedule.timezone}).`;
+}
+
+/**
+ * "7:30", "07:30", "7am", "6:45pm" → "HH:MM", or null.
+ */
+export function parseTime(text) {
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(text);
+  if (!match || (!match[2] && !match[3])) return null;
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem && (hour < 1 || hour > 12)) return null;
+  if (meridiem === "pm" && hour !== 12) hour += 12;
+  if (meridiem === "am" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+export function timeToMinutes(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+async function markSent(kv, chatId, fields) {
+  const stored = (await kv.get(KEY_PREFIX + chatId, "json").catch(() => null)) || {};
+  await kv.put(KEY_PREFIX + chatId, JSON.stringify({ ...stored, ...fields }));
+}
+
+// On a scheduled weekday, `time` passed by less than `maxLateMinutes`, and
+// not already done today (`lastDate`)
+function isDueAt(schedule, time, lastDate, now, maxLateMinutes) {
+  const clock = localClock(now, schedule.timezone);
+  if (!schedule.days.includes(clock.weekday)) return false;
+  if (lastDate === clock.date) return false;
+  const late = clock.minutes - timeToMinutes(time);
+  return late >= 0 && late < maxLateMinutes;
+}
+
+// "fri", "Friday" → 5, or null
+function parseDay(text) {
+  const index = DAY_NAMES.indexOf(text.toLowerCase().slice(0, 3));
+  return text.length >= 3 && index !== -1 ? index : null;
+}
+
+function parseDays(text) {
+  const lower = text.toLowerCase();
+  if (DAY_PRESETS[lower]) return DAY_PRESETS[lower];
+
+  const days = new Set();
+  for (const part of lower.split(",")) {
+    const [from, to] = part.split("-").map((d) => DAY_NAMES.indexOf(d.slice(0, 3)));
+    if (from === -1 || to === -1) return null;
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    // Ranges can wrap around the weekend, e.g. "fri-mon"
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return days.size ? [...days].sort() : null;
+}
+
+function describeDays(days) {
+  const key = [...days].sort().join(",");
+  if (key === "1,2,3,4,5") return "on weekdays";
+  if (key === "0,1,2,3,4,5,6") return "every day";
+  return `on ${days.map((d) => DAY_NAMES[d][0].toUpperCase() + DAY_NAMES[d].slice(1)).join(", ")}`;
+}
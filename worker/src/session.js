@@ -0,0 +1,334 @@
+// ─── Chat Session (Durable Object) ────────────────────────────────
+//
+// One ChatSession per Telegram chat (named by chat id). Every update for
+// the chat — messages, commands, button taps — and the cron briefing run
+// through its queue strictly one at a time, so two quick messages can't
+// race on the conversation history or both act on the same stale Linear
+// snapshot. History lives in the object's own transactional storage, one
+// entry per Telegram user, so people sharing a group chat don't share it.
+//
+// The chat's reminders (reminders.js) live in the same storage and fire
+// from the object's alarm, through the same queue. So does the evening
+// check-in (checkin.js), whose button taps edit issues like any others.
+//
+// A Durable Object keeps taking new events while an earlier one awaits a
+// fetch, hence the explicit promise-chain queue rather than relying on
+// the runtime.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { DurableObject } from "cloudflare:workers";
+import {
+  sendMessage,
+  sendTyping,
+  answerCallbackQuery,
+  editMessageReplyMarkup,
+} from "./telegram.js";
+import { runAgent } from "./agent.js";
+import { handleDailyBriefing } from "./briefing.js";
+import { handleCommand } from "./commands.js";
+import { executeTool } from "./tools.js";
+import { describeCall, getParked, takeParked } from "./confirmations.js";
+import { undoMessage } from "./journal.js";
+import { getMessageRecord, recordMessage } from "./updates.js";
+import { getSchedule } from "./schedule.js";
+import { getSettings } from "./settings.js";
+import { getUser, linearIdentity } from "./users.js";
+import { reminderStore, fireDueReminders, describeReminder } from "./reminders.js";
+import { sendCheckin, handleCheckinTap } from "./checkin.js";
+import { teamKeysOf, getDefaultTeamKey } from "./teams.js";
+import {
+  fetchActiveIssues,
+  fetchWorkflowStates,
+  fetchLabels,
+  fetchTeams,
+  fetchProjects,
+  fetchMembers,
+  fetchViewer,
+} from "./linear.js";
+
+const HISTORY_PREFIX = "history:";
+const SHARED_HISTORY_KEY = "history"; // one history per chat, before per-user history
+const LEGACY_HISTORY_KEY = "conversation_history"; // where KV kept it before sessions
+
+export class ChatSession extends DurableObject {
+  #queue = Promise.resolve();
+
+  /**
+   * Process one Telegram update (already de-duplicated) from `user`, an
+   * allowlisted user from users.js.
+   */
+  handleUpdate(update, user) {
+    return this.#enqueue(() => {
+      const history = historyStore(this.ctx.storage, this.env.KV, user);
+      const reminders = reminderStore(this.ctx.storage);
+      return processMessage(update, this.env, { user, history, reminders });
+    });
+  }
+
+  /** Generate and send the daily briefing. `options`: { chatId, timezone }. */
+  runBriefing(options) {
+    return this.#enqueue(() => handleDailyBriefing(this.env, options));
+  }
+
+  /** Send the evening check-in. `options`: { chatId, user, timezone }. */
+  runCheckin(options) {
+    return this.#enqueue(() => sendCheckin(this.env, options));
+  }
+
+  /** Storage alarm — always set for the next pending reminder. */
+  alarm() {
+    return this.#enqueue(() => fireDueReminders(this.ctx.storage, this.env));
+  }
+
+  // Run `task` after everything already queued, whether that succeeded or not
+  #enqueue(task) {
+    const run = this.#queue.then(task, task);
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * RPC stub for a chat's session object.
+ */
+export function chatSession(env, chatId) {
+  return env.CHAT_SESSION.get(env.CHAT_SESSION.idFromName(String(chatId)));
+}
+
+// ─── Conversation History ─────────────────────────────────────────
+
+/**
+ * One user's history store, handed to the agent and commands. Only ever
+ * used from inside the queue, so load → run → save can't interleave.
+ */
+function historyStore(storage, kv, user) {
+  const key = HISTORY_PREFIX + user.id;
+  return {
+    async load() {
+      const stored = await storage.get(key);
+      if (stored || !user.owner) return stored || [];
+      // One-time move of the single-user history — the chat's shared entry,
+      // or KV from before sessions. Both were only ever the owner's.
+      const legacy =
+        (await storage.get(SHARED_HISTORY_KEY)) ||
+        (await kv.get(LEGACY_HISTORY_KEY, "json").catch(() => null));
+      if (!legacy) return [];
+      await storage.put(key, legacy);
+      await storage.delete(SHARED_HISTORY_KEY);
+      await kv.delete(LEGACY_HISTORY_KEY);
+      return legacy;
+    },
+    save: (messages) => storage.put(key, messages),
+    async clear() {
+      await storage.delete(key);
+      if (user.owner) {
+        await storage.delete(SHARED_HISTORY_KEY);
+        await kv.delete(LEGACY_HISTORY_KEY);
+      }
+    },
+  };
+}
+
+// ─── Message Processing ───────────────────────────────────────────
+
+async function processMessage(update, env, session) {
+  try {
+    // Inline-button taps (Approve/Cancel on parked actions)
+    if (update.type === "callback") {
+      await handleCallback(update, env, session);
+      return;
+    }
+
+    // An edit amends the original request: roll back what it did, then rerun
+    let agentText = update.text;
+    if (update.edited) {
+      const original = await amendMessage(update, env);
+      if (original === null) return;
+      agentText = `(Edited — this replaces my earlier message "${original}")\n${update.text}`;
+    } else {
+      await recordMessage(env.KV, update.chatId, update.messageId, update.text);
+    }
+
+    // Handle commands
+    if (update.text.startsWith("/")) {
+      await handleCommand(update, env, session);
+      return;
+    }
+
+    // Show typing indicator while we work
+    await sendTyping(env.TELEGRAM_BOT_TOKEN, update.chatId);
+
+    const ctx = await loadLinearContext(env, session, update.chatId, update.messageId);
+
+    // Run the Claude agent
+    const response = await runAgent(agentText, env, ctx, session.history);
+    await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, response);
+  } catch (err) {
+    console.error("Error processing message:", err);
+    await sendMessage(
+      env.TELEGRAM_BOT_TOKEN,
+      update.chatId,
+      `Something broke: ${err.message}\n\nTry again or check the Worker logs.`
+    );
+  }
+}
+
+/**
+ * Undo everything the original version of an edited message changed.
+ * Returns the original text, or null if the edit should be dropped (no
+ * change to the text, or the original is too old to know what it did).
+ */
+async function amendMessage(update, env) {
+  const record = await getMessageRecord(env.KV, update.chatId, update.messageId);
+  if (!record) {
+    await sendMessage(
+      env.TELEGRAM_BOT_TOKEN,
+      update.chatId,
+      "That message is too old for me to amend. Send it again as a new message if you still want it."
+    );
+    return null;
+  }
+  if (record.text === update.text) return null;
+
+  await recordMessage(env.KV, update.chatId, update.messageId, update.text);
+  const lines = await undoMessage(env.KV, env.LINEAR_API_KEY, update.chatId, update.messageId);
+  if (lines.length > 0) {
+    await sendMessage(
+      env.TELEGRAM_BOT_TOKEN,
+      update.chatId,
+      ["You edited that message — rolling back what it did first:", ...lines].join("\n")
+    );
+  }
+  return record.text;
+}
+
+/**
+ * Fetch all Linear context the agent and tools need, in parallel, plus the
+ * sender's `user` and the chat's `reminders` from `session`.
+ * `messageId` tags journal entries with the message that caused them.
+ * `viewer` is the requesting user's Linear identity (null until they
+ * /link), and `author` the name to sign comments with when the API key
+ * belongs to someone else.
+ */
+async function loadLinearContext(env, { user, reminders }, chatId, messageId) {
+  const teamKeys = teamKeysOf(env);
+  const opts = { maxItems: Number(env.LINEAR_MAX_ITEMS) || undefined };
+  const [issues, states, labels, teams, projects, members, keyOwner, teamKey, schedule, settings] =
+    await Promise.all([
+      fetchActiveIssues(env.LINEAR_API_KEY, teamKeys, opts),
+      fetchWorkflowStates(env.LINEAR_API_KEY, teamKeys, opts),
+      fetchLabels(env.LINEAR_API_KEY, opts),
+      fetchTeams(env.LINEAR_API_KEY, teamKeys),
+      fetchProjects(env.LINEAR_API_KEY, opts),
+      fetchMembers(env.LINEAR_API_KEY, teamKeys, opts),
+      fetchViewer(env.LINEAR_API_KEY),
+      getDefaultTeamKey(env, chatId),
+      getSchedule(env, chatId),
+      getSettings(env, chatId),
+    ]);
+  const viewer = linearIdentity(user, keyOwner);
+
+  return {
+    apiKey: env.LINEAR_API_KEY,
+    kv: env.KV,
+    chatId,
+    userId: user.id,
+    messageId,
+    timezone: schedule.timezone,
+    settings,
+    user,
+    reminders,
+    viewer,
+    author: viewer?.id === keyOwner.id ? null : user.name || settings.ownerName,
+    teams,
+    teamKey, // the chat's default team
+    teamId: teams.find((t) => t.key === teamKey)?.id,
+    issues,
+    states,
+    labels,
+    projects,
+    members,
+  };
+}
+
+// ─── Inline Button Callbacks ──────────────────────────────────────
+
+async function handleCallback(update, env, session) {
+  const [action, pendingId, option] = update.data.split(":");
+  if (action === "snooze") {
+    await handleSnooze(update, env, session.reminders, pendingId, option);
+    return;
+  }
+  if (action === "checkin") {
+    await handleCheckinTap(update, env, pendingId, option);
+    return;
+  }
+  if (action !== "approve" && action !== "cancel") {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId);
+    return;
+  }
+
+  // In a group, only whoever asked (or an admin) gets to answer; the
+  // buttons stay up for them
+  const parked = await getParked(env.KV, pendingId);
+  if (parked && parked.userId !== session.user.id && !session.user.admin) {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Only whoever asked (or an admin) can answer this");
+    return;
+  }
+
+  // Buttons come off either way so nobody taps twice
+  await editMessageReplyMarkup(env.TELEGRAM_BOT_TOKEN, update.chatId, update.messageId);
+
+  const pending = parked && (await takeParked(env.KV, pendingId));
+  const requester = pending && (await getUser(env, pending.userId));
+  if (!requester) {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Expired");
+    await sendMessage(
+      env.TELEGRAM_BOT_TOKEN,
+      update.chatId,
+      "That request expired (or was already handled). Ask me again if you still want it."
+    );
+    return;
+  }
+
+  if (action === "cancel") {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Cancelled");
+    await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, "Cancelled — nothing changed.");
+    return;
+  }
+
+  await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Approved");
+  await sendTyping(env.TELEGRAM_BOT_TOKEN, update.chatId);
+
+  // Re-fetch context so the parked calls act on current Linear state, as the
+  // requester rather than the approver; journal them under the original
+  // request so editing it still rolls them back
+  const ctx = await loadLinearContext(
+    env,
+    { user: requester, reminders: session.reminders },
+    update.chatId,
+    pending.messageId
+  );
+  const lines = [];
+  for (const call of pending.calls) {
+    const result = await executeTool(call.name, call.input, ctx);
+    lines.push(
+      result.error
+        ? `Failed: ${describeCall(call)} — ${result.error}`
+        : `Done: ${describeCall(call)}`
+    );
+  }
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, lines.join("\n"));
+}
+
+async function handleSnooze(update, env, reminders, id, option) {
+  await editMessageReplyMarkup(env.TELEGRAM_BOT_TOKEN, update.chatId, update.messageId);
+  const reminder = await reminders.snooze(id, option);
+  if (!reminder) {
+    await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Expired");
+    return;
+  }
+  await answerCallbackQuery(env.TELEGRAM_BOT_TOKEN, update.callbackId, "Snoozed");
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, update.chatId, `Snoozed — ${describeReminder(reminder)}`);
+}
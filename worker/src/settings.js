@@ -0,0 +1,149 @@
+// ─── Settings ─────────────────────────────────────────────────────
+//
+// Who the bot works for and how briefings read — shared by the Worker
+// (KV, `settings:<chatId>`, edited with /settings) and the standalone
+// script (briefing/settings.json). Only overrides are stored; anything
+// missing falls back to DEFAULT_SETTINGS.
+//
+//   ownerName, company, about — who the assistant works for
+//   tone                      — how it talks ("sharp, no-nonsense")
+//   maxChars                  — target length of a briefing
+//   sections                  — briefing layout: [{ id, title, instructions, grouped? }]
+//
+// Section instructions may say {name} for the owner's first name.
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { BRIEFING_SECTIONS } from "./report.js";
+
+const KEY_PREFIX = "settings:";
+const MIN_CHARS = 300;
+const MAX_CHARS = 4000;
+
+export const DEFAULT_SETTINGS = {
+  ownerName: "Zach Ellis",
+  company: "Yak Dev",
+  about: "a software development agency",
+  tone: "sharp, no-nonsense",
+  maxChars: 1500,
+  sections: BRIEFING_SECTIONS,
+};
+
+// /settings keys → setting names, for the simple text values
+const TEXT_KEYS = { name: "ownerName", company: "company", about: "about", tone: "tone" };
+
+/**
+ * Stored overrides on top of the defaults.
+ */
+export function mergeSettings(stored) {
+  return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+}
+
+export function firstName(settings) {
+  return settings.ownerName.split(/\s+/)[0];
+}
+
+export async function getSettings(env, chatId) {
+  let stored = null;
+  try {
+    stored = await env.KV.get(KEY_PREFIX + chatId, "json");
+  } catch {
+    stored = null;
+  }
+  return mergeSettings(stored);
+}
+
+/**
+ * Store only what differs from the defaults, so later default changes
+ * still reach chats that never touched a setting.
+ */
+export async function saveSettings(kv, chatId, settings) {
+  const overrides = Object.fromEntries(
+    Object.entries(settings).filter(
+      ([key, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_SETTINGS[key])
+    )
+  );
+  await kv.put(KEY_PREFIX + chatId, JSON.stringify(overrides));
+}
+
+/**
+ * Apply "/settings <key> <value...>" to `current`.
+ * Returns { settings } or { error }.
+ *
+ *   name|company|about|tone <text>
+ *   maxchars <n>
+ *   sections <id,id,...>              — pick and reorder sections
+ *   section <id> <TITLE> | <instructions> — add or replace one
+ *   reset [key]
+ */
+export function applySettingsArgs(args, current) {
+  const [rawKey, ...rest] = args;
+  const key = rawKey.toLowerCase();
+  const value = rest.join(" ").trim();
+
+  if (key === "reset") {
+    if (!value) return { settings: { ...DEFAULT_SETTINGS } };
+    const name = TEXT_KEYS[value.toLowerCase()] || { maxchars: "maxChars", sections: "sections" }[value.toLowerCase()];
+    if (!name) return { error: `No setting called "${value}".` };
+    return { settings: { ...current, [name]: DEFAULT_SETTINGS[name] } };
+  }
+
+  if (!value) return { error: `/settings ${key} needs a value.` };
+
+  if (TEXT_KEYS[key]) {
+    return { settings: { ...current, [TEXT_KEYS[key]]: value } };
+  }
+
+  if (key === "maxchars") {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < MIN_CHARS || n > MAX_CHARS) {
+      return { error: `maxchars must be a whole number between ${MIN_CHARS} and ${MAX_CHARS}.` };
+    }
+    return { settings: { ...current, maxChars: n } };
+  }
+
+  if (key === "sections") {
+    const known = [...current.sections, ...DEFAULT_SETTINGS.sections];
+    const ids = value.split(/[\s,]+/).filter(Boolean).map((id) => id.toLowerCase());
+    const sections = [];
+    for (const id of new Set(ids)) {
+      const section = known.find((s) => s.id === id);
+      if (!section) return { error: `Unknown section "${id}". Known: ${[...new Set(known.map((s) => s.id))].join(", ")}.` };
+      sections.push(section);
+    }
+    return { settings: { ...current, sections } };
+  }
+
+  if (key === "section") {
+    const match = /^(\S+)\s+([^|]+)\|(.+)$/.exec(value);
+    if (!match) return { error: "Use: /settings section <id> <TITLE> | <instructions>" };
+    const [, id, title, instructions] = match;
+    const section = { id: id.toLowerCase(), title: title.trim().toUpperCase(), instructions: instructions.trim() };
+    const existing = current.sections.findIndex((s) => s.id === section.id);
+    const sections = [...current.sections];
+    if (existing === -1) sections.push(section);
+    else sections[existing] = { ...sections[existing], ...section };
+    return { settings: { ...current, sections } };
+  }
+
+  return { error: `No setting called "${key}". /settings lists them.` };
+}
+
+export function describeSettings(settings) {
+  return [
+    "SETTINGS:",
+    `name — ${settings.ownerName}`,
+    `company — ${settings.company}`,
+    `about — ${settings.about}`,
+    `tone — ${settings.tone}`,
+    `maxchars — ${settings.maxChars}`,
+    "sections —",
+    ...settings.sections.map((s, idx) => `  ${idx + 1}. ${s.id}: ${s.title} — ${s.instructions}`),
+    "",
+    "Change one with /settings <key> <value>, e.g.",
+    "/settings tone warm but direct",
+    "/settings sections top,blocked,week",
+    "/settings section wins WINS | What shipped yesterday",
+    "/settings reset [key]",
+  ].join("\n");
+}
@@ -0,0 +1,179 @@
+// ─── Issue Snapshots & Diffs ──────────────────────────────────────
+//
+// Pure helpers shared by the Worker briefing and the standalone script.
+// A snapshot is the normalized state of every active issue, keyed by id;
+// diffing two snapshots says *what* changed between briefings.
+//
+// ───────────────────────────────────────────────────────────────────
+
+const PRIORITY_NAMES = ["No priority", "Urgent", "High", "Medium", "Low"];
+
+// ─── Snapshots ────────────────────────────────────────────────────
+
+/**
+ * Normalize issues (GraphQL shape: state/project/assignee objects,
+ * labels.nodes) into a plain, JSON-friendly snapshot keyed by issue id.
+ */
+export function buildSnapshot(issues) {
+  const snapshot = {};
+  for (const i of issues) {
+    snapshot[i.id] = {
+      identifier: i.identifier,
+      title: i.title,
+      status: i.state?.name || "Unknown",
+      stateType: i.state?.type || null,
+      priority: i.priority ?? 0,
+      assignee: i.assignee?.name || null,
+      project: i.project?.name || null,
+      labels: (i.labels?.nodes?.map((l) => l.name) || []).sort(),
+      dueDate: i.dueDate || null,
+    };
+  }
+  return snapshot;
+}
+
+// ─── Diffing ──────────────────────────────────────────────────────
+
+/**
+ * Compare two snapshots.
+ *
+ * Issues missing from `current` have left the active set. `departed`
+ * (id → { status, stateType }, from a follow-up Linear lookup) says
+ * whether they were completed, canceled, or just moved elsewhere.
+ */
+export function diffSnapshots(previous, current, departed = {}) {
+  const diff = {
+    created: [],
+    completed: [],
+    canceled: [],
+    removed: [],
+    statusMoves: [],
+    priorityChanges: [],
+    reassigned: [],
+    dueAdded: [],
+    dueSlipped: [],
+    duePulledIn: [],
+    dueRemoved: [],
+  };
+  if (!previous) return diff;
+
+  for (const [id, now] of Object.entries(current)) {
+    const before = previous[id];
+    if (!before) {
+      diff.created.push({ identifier: now.identifier, title: now.title });
+      continue;
+    }
+    const base = { identifier: now.identifier, title: now.title };
+
+    if (before.status !== now.status) {
+      diff.statusMoves.push({ ...base, from: before.status, to: now.status });
+    }
+    if (before.priority !== now.priority) {
+      diff.priorityChanges.push({
+        ...base,
+        from: PRIORITY_NAMES[before.priority],
+        to: PRIORITY_NAMES[now.priority],
+        raised: priorityRank(now.priority) < priorityRank(before.priority),
+      });
+    }
+    if (before.assignee !== now.assignee) {
+      diff.reassigned.push({ ...base, from: before.assignee, to: now.assignee });
+    }
+    if (before.dueDate !== now.dueDate) {
+      const change = { ...base, from: before.dueDate, to: now.dueDate };
+      if (!before.dueDate) diff.dueAdded.push(change);
+      else if (!now.dueDate) diff.dueRemoved.push(change);
+      else if (now.dueDate > before.dueDate) diff.dueSlipped.push(change);
+      else diff.duePulledIn.push(change);
+    }
+  }
+
+  for (const [id, before] of Object.entries(previous)) {
+    if (current[id]) continue;
+    const base = { identifier: before.identifier, title: before.title };
+    const where = departed[id];
+    if (where?.stateType === "completed") diff.completed.push(base);
+    else if (where?.stateType === "canceled") diff.canceled.push(base);
+    else diff.removed.push({ ...base, status: where?.status || null });
+  }
+
+  return diff;
+}
+
+export function diffSize(diff) {
+  return Object.values(diff).reduce((sum, list) => sum + list.length, 0);
+}
+
+/**
+ * Small, low-stakes diffs don't justify a fresh model call — a diff-only
+ * message covers them. Anything that adds, closes, or escalates work does.
+ */
+export function isMinorDiff(diff, maxChanges) {
+  const size = diffSize(diff);
+  return (
+    size > 0 &&
+    size <= maxChanges &&
+    diff.created.length === 0 &&
+    diff.completed.length === 0 &&
+    diff.canceled.length === 0 &&
+    diff.removed.length === 0 &&
+    !diff.priorityChanges.some((c) => c.raised)
+  );
+}
+
+// ─── Rendering ────────────────────────────────────────────────────
+
+// [diff key, label, detail] — in the order they're listed
+const DIFF_GROUPS = [
+  ["created", "New"],
+  ["completed", "Completed"],
+  ["canceled", "Canceled"],
+  ["removed", "Left the board", (i) => i.status || "moved or deleted"],
+  ["statusMoves", "Status moves", (i) => `${i.from} → ${i.to}`],
+  ["priorityChanges", "Priority", (i) => `${i.from} → ${i.to}`],
+  ["reassigned", "Reassigned", (i) => `${i.from || "Unassigned"} → ${i.to || "Unassigned"}`],
+  ["dueAdded", "Due date added", (i) => i.to],
+  ["dueSlipped", "Due date slipped", (i) => `${i.from} → ${i.to}`],
+  ["duePulledIn", "Due date pulled in", (i) => `${i.from} → ${i.to}`],
+  ["dueRemoved", "Due date removed", (i) => `was ${i.from}`],
+];
+
+/**
+ * Plain-text "Since last briefing" block. Returns "" for an empty diff.
+ * This is what Claude sees; the message itself uses diffSection().
+ */
+export function renderDiff(diff) {
+  const lines = [];
+  for (const [key, label, detail] of DIFF_GROUPS) {
+    if (diff[key].length === 0) continue;
+    lines.push(`${label}:`);
+    for (const item of diff[key]) {
+      lines.push(`- ${item.identifier} ${item.title}${detail ? ` (${detail(item)})` : ""}`);
+    }
+  }
+  return lines.length ? ["SINCE LAST BRIEFING", ...lines].join("\n") : "";
+}
+
+/**
+ * The diff as a briefing-document section (see report.js), grouped by
+ * kind of change. Returns null for an empty diff.
+ */
+export function diffSection(diff) {
+  const items = DIFF_GROUPS.flatMap(([key, label, detail]) =>
+    diff[key].map((item) => ({
+      identifier: item.identifier,
+      title: item.title,
+      group: label,
+      reason: detail ? detail(item) : undefined,
+    }))
+  );
+  if (items.length === 0) return null;
+  return { id: "since", title: "SINCE LAST BRIEFING", grouped: true, items };
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+// Linear priority 0 is "none", which ranks below Low (4)
+function priorityRank(priority) {
+  return priority === 0 ? 5 : priority;
+}
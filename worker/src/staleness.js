@@ -0,0 +1,183 @@
+// ─── Per-Issue Staleness Signals ──────────────────────────────────
+//
+// Pure helpers shared by the Worker briefing and the standalone script.
+// Each active issue can raise up to three signals:
+//
+//   overdue — dueDate is N+ days in the past
+//   idle    — in a "started" state but not updated for N+ days
+//   rot     — sitting in backlog/unstarted, created N+ weeks ago
+//
+// ───────────────────────────────────────────────────────────────────
+
+import { DEFAULT_TIMEZONE, daysBetween, localDate } from "./time.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_THRESHOLDS = {
+  overdueDays: 1,
+  idleDays: 5,
+  rotWeeks: 8,
+  wakeUpDays: 3, // unchanged briefings in a row before the escalation header
+};
+
+// Worst first — ranking sorts by this, then by how far past the threshold
+const SIGNAL_ORDER = ["overdue", "idle", "rot"];
+
+/**
+ * Read thresholds from an env-like object (Worker env or process.env),
+ * falling back to the defaults for anything unset.
+ */
+export function staleThresholds(env) {
+  return {
+    overdueDays: numberOr(env.STALE_OVERDUE_DAYS, DEFAULT_THRESHOLDS.overdueDays),
+    idleDays: numberOr(env.STALE_IDLE_DAYS, DEFAULT_THRESHOLDS.idleDays),
+    rotWeeks: numberOr(env.STALE_ROT_WEEKS, DEFAULT_THRESHOLDS.rotWeeks),
+    wakeUpDays: numberOr(env.STALE_DAYS_THRESHOLD, DEFAULT_THRESHOLDS.wakeUpDays),
+  };
+}
+
+/**
+ * Return every issue with at least one signal, ranked worst first.
+ * Issues are in GraphQL shape (state.type, project.name, ...). Overdue
+ * days count calendar days in `timezone`.
+ *
+ * @returns {Array<{ identifier, title, project, signals: Array<{ kind, days }> }>}
+ */
+export function findStaleIssues(
+  issues,
+  thresholds = DEFAULT_THRESHOLDS,
+  now = new Date(),
+  timezone = DEFAULT_TIMEZONE
+) {
+  const today = localDate(now, timezone);
+  const stale = [];
+
+  for (const issue of issues) {
+    const signals = [];
+    const type = issue.state?.type;
+
+    if (issue.dueDate) {
+      const late = daysBetween(issue.dueDate, today);
+      if (late >= thresholds.overdueDays) signals.push({ kind: "overdue", days: late });
+    }
+    if (type === "started" && issue.updatedAt) {
+      const idle = Math.floor((now - Date.parse(issue.updatedAt)) / DAY_MS);
+      if (idle >= thresholds.idleDays) signals.push({ kind: "idle", days: idle });
+    }
+    if ((type === "backlog" || type === "unstarted") && issue.createdAt) {
+      const age = Math.floor((now - Date.parse(issue.createdAt)) / DAY_MS);
+      if (age >= thresholds.rotWeeks * 7) signals.push({ kind: "rot", days: age });
+    }
+
+    if (signals.length > 0) {
+      signals.sort((a, b) => SIGNAL_ORDER.indexOf(a.kind) - SIGNAL_ORDER.indexOf(b.kind));
+      stale.push({
+        identifier: issue.identifier,
+        title: issue.title,
+        project: issue.project?.name || "No Project",
+        signals,
+      });
+    }
+  }
+
+  return stale.sort((a, b) => {
+    const [wa, wb] = [a.signals[0], b.signals[0]];
+    return (
+      SIGNAL_ORDER.indexOf(wa.kind) - SIGNAL_ORDER.indexOf(wb.kind) ||
+      wb.days - wa.days
+    );
+  });
+}
+
+/**
+ * Signal counts per project: { [project]: { overdue, idle, rot } }.
+ */
+export function countByProject(stale) {
+  const counts = {};
+  for (const item of stale) {
+    const bucket = (counts[item.project] ||= { overdue: 0, idle: 0, rot: 0 });
+    for (const signal of item.signals) bucket[signal.kind]++;
+  }
+  return counts;
+}
+
+/**
+ * Plain-text STALE WORK block: the top `limit` issues plus per-project counts.
+ * Returns "" when nothing is stale.
+ */
+export function renderStaleSection(stale, limit = 10) {
+  if (stale.length === 0) return "";
+
+  const lines = [`STALE WORK (${stale.length})`];
+  for (const item of stale.slice(0, limit)) {
+    lines.push(`- ${item.identifier} ${item.title} — ${item.signals.map(describeSignal).join(", ")}`);
+  }
+  if (stale.length > limit) lines.push(`- ...and ${stale.length - limit} more`);
+
+  lines.push("", ...projectLines(stale));
+  return lines.join("\n");
+}
+
+/**
+ * The same block as a briefing-document section (see report.js).
+ * Returns null when nothing is stale.
+ */
+export function staleSection(stale, limit = 10) {
+  if (stale.length === 0) return null;
+
+  const notes = [];
+  if (stale.length > limit) notes.push(`...and ${stale.length - limit} more`);
+  notes.push(...projectLines(stale));
+
+  return {
+    id: "stale",
+    title: `STALE WORK (${stale.length})`,
+    items: stale.slice(0, limit).map((item) => ({
+      identifier: item.identifier,
+      title: item.title,
+      project: item.project,
+      reason: item.signals.map(describeSignal).join(", "),
+    })),
+    notes,
+  };
+}
+
+/**
+ * Escalation header for when nothing has moved in a while. Sits on top of
+ * the real briefing rather than replacing it.
+ */
+export function wakeUpHeader(unchangedDays) {
+  return `SNAP OUT OF IT, LOCK IN! Nothing on the board has moved in ${unchangedDays} days.`;
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+// An env value as a number, where 0 is a real setting; unset, empty or
+// non-numeric means the default
+function numberOr(value, fallback) {
+  if (value === undefined || value === null || String(value).trim() === "") return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function describeSignal({ kind, days }) {
+  if (kind === "overdue") return `overdue ${days}d`;
+  if (kind === "idle") return `in progress, untouched ${days}d`;
+  return `in backlog ${Math.floor(days / 7)}w`;
+}
+
+function projectLines(stale) {
+  const counts = Object.entries(countByProject(stale)).sort(
+    ([, a], [, b]) => total(b) - total(a)
+  );
+  const lines = ["By project:"];
+  for (const [project, c] of counts) {
+    const parts = SIGNAL_ORDER.filter((kind) => c[kind] > 0).map((kind) => `${c[kind]} ${kind}`);
+    lines.push(`- ${project}: ${parts.join(", ")}`);
+  }
+  return lines;
+}
+
+function total(counts) {
+  return counts.overdue + counts.idle + counts.rot;
+}
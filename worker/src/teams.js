@@ -0,0 +1,98 @@
+// ─── Linear Teams ─────────────────────────────────────────────────
+//
+// The agent and briefing cover every team in LINEAR_TEAM_KEYS ("YAK,ACME";
+// falls back to LINEAR_TEAM_KEY, then "YAK"). The first is the default
+// for new issues and projects; /team changes it per chat, stored in KV
+// under `default_team:<chatId>`. Each team has its own workflow states
+// and can have its own labels, so lookups go through the issue's team.
+//
+// All teams live in the one workspace LINEAR_API_KEY belongs to.
+//
+// ───────────────────────────────────────────────────────────────────
+
+const KEY_PREFIX = "default_team:";
+
+/**
+ * The configured team keys, upper-cased, default first. Works on the
+ * Worker env and process.env alike.
+ */
+export function teamKeysOf(env) {
+  const keys = (env.LINEAR_TEAM_KEYS || env.LINEAR_TEAM_KEY || "YAK")
+    .split(",")
+    .map((k) => k.trim().toUpperCase())
+    .filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * A chat's default team key — its /team choice if that team is still
+ * configured, otherwise the first configured one.
+ */
+export async function getDefaultTeamKey(env, chatId) {
+  const keys = teamKeysOf(env);
+  const stored = await env.KV.get(KEY_PREFIX + chatId).catch(() => null);
+  return keys.includes(stored) ? stored : keys[0];
+}
+
+export async function saveDefaultTeamKey(kv, chatId, teamKey) {
+  await kv.put(KEY_PREFIX + chatId, teamKey);
+}
+
+/**
+ * Find a team by key ("ACME") or name (or part of it). Returns null if
+ * nothing matches.
+ */
+export function findTeam(query, teams) {
+  const lower = query.trim().toLowerCase();
+  return (
+    teams.find((t) => t.key.toLowerCase() === lower) ||
+    teams.find((t) => t.name.toLowerCase() === lower) ||
+    teams.find((t) => t.name.toLowerCase().includes(lower)) ||
+    null
+  );
+}
+
+/**
+ * The team key an identifier belongs to: "ACME-12" → "ACME".
+ */
+export function teamKeyOfIdentifier(identifier) {
+  return identifier.toUpperCase().split("-")[0];
+}
+
+/**
+ * The workflow states of `teamKey`. States fetched without team info are
+ * assumed to belong to it.
+ */
+export function statesOfTeam(states, teamKey) {
+  return states.filter((s) => !s.team || s.team.key === teamKey);
+}
+
+/**
+ * The team key of an issue, from its `team` or failing that its identifier.
+ */
+export function teamKeyOfIssue(issue) {
+  return issue.team?.key || teamKeyOfIdentifier(issue.identifier);
+}
+
+/**
+ * A label usable on `teamKey`'s issues: that team's own, or a workspace
+ * label. Null if there's neither.
+ */
+export function findLabel(name, labels, teamKey) {
+  const lower = name.toLowerCase();
+  const matches = labels.filter((l) => l.name.toLowerCase() === lower);
+  return matches.find((l) => l.team?.key === teamKey) || matches.find((l) => !l.team) || null;
+}
+
+/**
+ * The state of `type` to move an issue to — "Done" or "In Progress" if the
+ * team has one by that name, otherwise its first state of that type.
+ */
+export function stateOfType(states, type) {
+  const preferred = { completed: "done", started: "in progress" }[type];
+  return (
+    states.find((s) => s.type === type && s.name.toLowerCase() === preferred) ||
+    states.find((s) => s.type === type) ||
+    null
+  );
+}
@@ -1,51 +1,165 @@
 // ─── Telegram Bot API Helpers ─────────────────────────────────────
 
+import { requestJson, HttpError } from "./http.js";
+
 const API_BASE = "https://api.telegram.org/bot";
+const TELEGRAM_TIMEOUT_MS = 10000;
 
 /**
  * Parse an incoming Telegram webhook update into a simple object.
- * Returns null if the update doesn't contain a usable text message.
+ * Text messages come back as `type: "message"` (`edited: true` for an
+ * edited_message), inline-button taps as `type: "callback"`. Returns null
+ * if the update is neither.
  */
 export function parseUpdate(body) {
+  if (body.callback_query) {
+    const query = body.callback_query;
+    if (!query.message || !query.data) return null;
+    return {
+      type: "callback",
+      chatId: String(query.message.chat.id),
+      updateId: body.update_id,
+      callbackId: query.id,
+      data: query.data,
+      messageId: query.message.message_id,
+      messageText: query.message.text || "",
+      userId: String(query.from?.id),
+      firstName: query.from?.first_name || "Unknown",
+      fullName: fullNameOf(query.from),
+    };
+  }
+
   const message = body.message || body.edited_message;
   if (!message?.text) return null;
   return {
+    type: "message",
+    updateId: body.update_id,
+    edited: Boolean(body.edited_message),
     chatId: String(message.chat.id),
     text: message.text,
     messageId: message.message_id,
+    userId: String(message.from?.id),
     firstName: message.from?.first_name || "Unknown",
+    fullName: fullNameOf(message.from),
   };
 }
 
+function fullNameOf(from) {
+  return [from?.first_name, from?.last_name].filter(Boolean).join(" ") || "Unknown";
+}
+
 /**
  * Send a text message. Automatically splits if over Telegram's 4096 char limit.
+ * `options.replyMarkup` (e.g. an inline keyboard) is attached to the last chunk.
+ * `options.parseMode` ("HTML") is passed through; HTML is split without
+ * breaking tags or entities.
+ * Only rate limits are retried — a timeout or 5xx may still have posted the
+ * chunk, and a retry would send it twice. Throws if a chunk can't be sent.
+ * Returns the sent message for the last chunk.
  */
-export async function sendMessage(token, chatId, text) {
-  const chunks = splitMessage(text, 4096);
-  for (const chunk of chunks) {
-    await fetch(`${API_BASE}${token}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ chat_id: chatId, text: chunk }),
-    });
+export async function sendMessage(token, chatId, text, options = {}) {
+  const chunks = splitMessage(text, 4096, options.parseMode);
+  let sent;
+  for (const [idx, chunk] of chunks.entries()) {
+    const payload = { chat_id: chatId, text: chunk };
+    if (options.parseMode) payload.parse_mode = options.parseMode;
+    if (options.replyMarkup && idx === chunks.length - 1) {
+      payload.reply_markup = options.replyMarkup;
+    }
+    sent = await callApi(token, "sendMessage", payload, { idempotent: false });
   }
+  return sent;
+}
+
+/**
+ * Acknowledge an inline-button tap (stops the button's loading spinner).
+ * `text` shows as a brief toast in the client.
+ */
+export async function answerCallbackQuery(token, callbackId, text) {
+  const payload = { callback_query_id: callbackId };
+  if (text) payload.text = text;
+  await callApi(token, "answerCallbackQuery", payload, { quiet: true });
+}
+
+/**
+ * Replace (or, with no markup, remove) the inline keyboard on a sent message.
+ */
+export async function editMessageReplyMarkup(token, chatId, messageId, replyMarkup) {
+  const payload = {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup || { inline_keyboard: [] },
+  };
+  await callApi(token, "editMessageReplyMarkup", payload, { quiet: true });
+}
+
+/**
+ * Replace a sent message's text. Its inline keyboard goes with it.
+ */
+export async function editMessageText(token, chatId, messageId, text) {
+  const payload = { chat_id: chatId, message_id: messageId, text };
+  await callApi(token, "editMessageText", payload, { quiet: true });
 }
 
 /**
  * Show a "typing…" indicator in the chat.
  */
 export async function sendTyping(token, chatId) {
-  await fetch(`${API_BASE}${token}/sendChatAction`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ chat_id: chatId, action: "typing" }),
-  });
+  await callApi(token, "sendChatAction", { chat_id: chatId, action: "typing" }, { quiet: true });
+}
+
+/**
+ * Register the bot's command list so Telegram autocompletes it.
+ * `commands` is [{ command, description }], command names without the slash.
+ */
+export async function setMyCommands(token, commands) {
+  await callApi(token, "setMyCommands", { commands }, { quiet: true });
 }
 
 // ─── Internals ────────────────────────────────────────────────────
 
-function splitMessage(text, maxLen) {
+/**
+ * Call a Bot API method through the shared retrying client. Failures throw,
+ * unless `quiet` — for cosmetic calls (typing, keyboards, callback answers)
+ * that shouldn't derail the real work; those are just logged. Methods that
+ * post something pass `idempotent: false` so only rate limits are retried.
+ */
+async function callApi(token, method, payload, { quiet = false, idempotent = true } = {}) {
+  try {
+    const json = await requestJson(
+      `${API_BASE}${token}/${method}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      },
+      { label: `Telegram ${method}`, timeoutMs: TELEGRAM_TIMEOUT_MS, checkBody: telegramError, idempotent }
+    );
+    return json.result;
+  } catch (err) {
+    if (!quiet) throw err;
+    console.error(`Telegram ${method} failed: ${err.message}`);
+    return undefined;
+  }
+}
+
+// Telegram reports failures as { ok: false, description, parameters: { retry_after } }
+function telegramError(json, res) {
+  if (json?.ok) return null;
+  const retryAfter = json?.parameters?.retry_after;
+  return new HttpError(`Telegram ${res.status}: ${json?.description || res.statusText}`, {
+    status: res.status,
+    retryable: res.status === 429 || res.status >= 500,
+    rateLimited: res.status === 429,
+    retryAfterMs: retryAfter !== undefined ? retryAfter * 1000 : undefined,
+  });
+}
+
+function splitMessage(text, maxLen, parseMode) {
   if (text.length <= maxLen) return [text];
+  const html = parseMode === "HTML";
+  // Leave room for the closing/reopening tags added around an HTML split
+  const budget = html ? maxLen - HTML_TAG_RESERVE : maxLen;
   const chunks = [];
   let remaining = text;
   while (remaining.length > 0) {
@@ -54,10 +168,47 @@ function splitMessage(text, maxLen) {
       break;
     }
     // Prefer splitting at a newline within the last 50% of the chunk
-    let splitAt = remaining.lastIndexOf("\n", maxLen);
-    if (splitAt < maxLen * 0.5) splitAt = maxLen;
-    chunks.push(remaining.slice(0, splitAt));
+    let splitAt = remaining.lastIndexOf("\n", budget);
+    if (splitAt < budget * 0.5) splitAt = html ? safeHtmlSplit(remaining, budget) : budget;
+
+    let chunk = remaining.slice(0, splitAt);
     remaining = remaining.slice(splitAt).trimStart();
+    if (html) {
+      // Close whatever is still open and reopen it in the next chunk
+      const open = openTags(chunk);
+      chunk += open.map((t) => `</${t.name}>`).reverse().join("");
+      remaining = open.map((t) => t.raw).join("") + remaining;
+    }
+    chunks.push(chunk);
   }
   return chunks;
 }
+
+// ─── HTML splitting ───────────────────────────────────────────────
+
+const HTML_TAG_RESERVE = 256;
+
+/** Back a hard split point out of any tag or &entity; it would cut in half. */
+function safeHtmlSplit(text, at) {
+  const head = text.slice(0, at);
+  const tagStart = head.lastIndexOf("<");
+  if (tagStart > head.lastIndexOf(">")) at = tagStart;
+  const entityStart = text.slice(0, at).lastIndexOf("&");
+  if (entityStart > text.slice(0, at).lastIndexOf(";")) at = entityStart;
+  return at > 0 ? at : 1;
+}
+
+/** Tags opened but not closed in `html`, outermost first. */
+function openTags(html) {
+  const stack = [];
+  for (const match of html.matchAll(/<(\/?)([a-z-]+)[^>]*>/gi)) {
+    const [raw, closing, name] = match;
+    if (closing) {
+      const idx = stack.map((t) => t.name).lastIndexOf(name.toLowerCase());
+      if (idx !== -1) stack.splice(idx, 1);
+    } else {
+      stack.push({ name: name.toLowerCase(), raw });
+    }
+  }
+  return stack;
+}
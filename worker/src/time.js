@@ -0,0 +1,123 @@
+// ─── Timezone-Aware Dates ─────────────────────────────────────────
+//
+// Workers (and the Actions runner) run in UTC, so "today" from
+// toISOString() is wrong for part of every evening. Everything that cares
+// about the calendar goes through these helpers with an IANA timezone.
+// Dates are "YYYY-MM-DD" strings, same as Linear's dueDate.
+//
+// ───────────────────────────────────────────────────────────────────
+
+export const DEFAULT_TIMEZONE = "America/Denver";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * The timezone from an env-like object (TIMEZONE), or the default.
+ */
+export function timezoneOf(env) {
+  return env.TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+export function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar date in `timezone` as "YYYY-MM-DD".
+ */
+export function localDate(now = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = parts(now, timezone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Local date, minutes since midnight and weekday (0 = Sunday) in `timezone`.
+ */
+export function localClock(now = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const p = parts(now, timezone);
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    minutes: (Number(p.hour) % 24) * 60 + Number(p.minute),
+    weekday: WEEKDAYS.indexOf(p.weekday),
+  };
+}
+
+/**
+ * toLocaleDateString("en-US", options) in `timezone`.
+ */
+export function formatDate(now, timezone, options) {
+  return now.toLocaleDateString("en-US", { ...options, timeZone: timezone });
+}
+
+/**
+ * toLocaleString("en-US") in `timezone` with weekday, date and time —
+ * "Mon, Oct 19, 3:00 PM".
+ */
+export function formatDateTime(now, timezone) {
+  return now.toLocaleString("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * The instant a local date ("YYYY-MM-DD") and time (minutes since
+ * midnight) fall on in `timezone`. A time skipped by a DST change lands
+ * just after it.
+ */
+export function zonedTime(date, minutes, timezone = DEFAULT_TIMEZONE) {
+  const wall = Date.parse(date) + minutes * 60 * 1000;
+  // Guess with the offset at the wall time read as UTC, then correct for
+  // the offset at the guess itself (they differ near a DST change). If the
+  // correction doesn't hold either, the time was skipped — keep the guess.
+  const guess = wall - offsetAt(new Date(wall), timezone);
+  const corrected = wall - offsetAt(new Date(guess), timezone);
+  return new Date(wall - offsetAt(new Date(corrected), timezone) === corrected ? corrected : guess);
+}
+
+/**
+ * "YYYY-MM-DD" plus `days` (negative to go back).
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().split("T")[0];
+}
+
+/**
+ * Whole days from one "YYYY-MM-DD" to another.
+ */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+// How far `timezone`'s wall clock is ahead of UTC at `now`, in ms
+function offsetAt(now, timezone) {
+  const p = parts(now, timezone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, Number(p.hour) % 24, p.minute);
+  return wall - Math.floor(now.getTime() / 60000) * 60000;
+}
+
+function parts(now, timezone) {
+  const formatted = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    weekday: "short",
+  }).formatToParts(now);
+  return Object.fromEntries(formatted.map((p) => [p.type, p.value]));
+}
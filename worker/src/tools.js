@@ -2,11 +2,34 @@
 
 import {
   updateIssue,
+  batchUpdateIssues,
   createIssue as createLinearIssue,
   createComment,
   createProject as createLinearProject,
   createLabel,
+  fetchIssue,
+  fetchIssues,
+  searchIssues,
 } from "./linear.js";
+import { recordEntry } from "./journal.js";
+import {
+  listRules,
+  rulesFor,
+  findRule,
+  addRule,
+  updateRule,
+  deleteRule,
+  prepareRule,
+  describeRule,
+} from "./recurring.js";
+import { parseWhen, describeReminder } from "./reminders.js";
+import { DEFAULT_TIMEZONE, localDate } from "./time.js";
+import { findTeam, findLabel, statesOfTeam, teamKeyOfIssue } from "./teams.js";
+
+const BATCH_SIZE = 50; // Linear's issueBatchUpdate limit
+const MAX_BULK_ISSUES = 250;
+const DEFAULT_LIST_LIMIT = 25;
+const NOT_LINKED = "You haven't linked a Linear account yet — send /link <your Linear name> first.";
 
 // ─── Tool Schemas (sent to Claude) ───────────────────────────────
 
@@ -90,7 +113,7 @@ export const TOOL_DEFINITIONS = [
   {
     name: "create_issue",
     description:
-      "Create a new Linear issue/task in the team workspace. Can optionally include subtasks (child issues) and a due date.",
+      "Create a new Linear issue/task. Can optionally include subtasks (child issues) and a due date.",
     input_schema: {
       type: "object",
       properties: {
@@ -98,6 +121,10 @@ export const TOOL_DEFINITIONS = [
           type: "string",
           description: "The issue title",
         },
+        team: {
+          type: "string",
+          description: "Optional — team key or name to create it in. Defaults to the chat's default team.",
+        },
         description: {
           type: "string",
           description: "Optional longer description of the issue",
@@ -163,6 +190,10 @@ export const TOOL_DEFINITIONS = [
           type: "string",
           description: "The project name",
         },
+        team: {
+          type: "string",
+          description: "Optional — team key or name the project belongs to. Defaults to the chat's default team.",
+        },
         description: {
           type: "string",
           description: "Optional project description",
@@ -183,7 +214,7 @@ export const TOOL_DEFINITIONS = [
         },
         assignee_name: {
           type: "string",
-          description: "The name (or part of the name) of the team member to assign to",
+          description: "The name (or part of the name) of the team member to assign to, or 'me' for the person you're talking to",
         },
       },
       required: ["issue_identifier", "assignee_name"],
@@ -209,44 +240,376 @@ export const TOOL_DEFINITIONS = [
       required: ["issue_identifier", "due_date"],
     },
   },
+  {
+    name: "bulk_update_issues",
+    description:
+      "Update many active issues at once by filter — e.g. close out a run of old recurring tickets. Always call with preview=true first, show the user the matched set, then call again with preview=false to apply.",
+    input_schema: {
+      type: "object",
+      properties: {
+        filter: {
+          type: "object",
+          description: "Which issues to match. All given criteria must hold; at least one is required.",
+          properties: {
+            identifiers: {
+              type: "array",
+              description:
+                "Identifiers and/or ranges, e.g. ['YAK-12', 'YAK-388..YAK-419']. Ranges are inclusive.",
+              items: { type: "string" },
+            },
+            project: {
+              type: "string",
+              description: "Project name (or part of it)",
+            },
+            label: {
+              type: "string",
+              description: "Label name the issue must have",
+            },
+            title_pattern: {
+              type: "string",
+              description: "Case-insensitive regex (or plain text) the title must match",
+            },
+            due_before: {
+              type: "string",
+              description: "Only issues due before this date (YYYY-MM-DD)",
+            },
+            state: {
+              type: "string",
+              description: "Current workflow state name",
+            },
+            team: {
+              type: "string",
+              description: "Team key, e.g. 'YAK'",
+            },
+          },
+        },
+        action: {
+          type: "object",
+          description: "What to change on every matched issue. Set one or more fields.",
+          properties: {
+            status: {
+              type: "string",
+              description: "Workflow state name to move to",
+            },
+            priority: {
+              type: "number",
+              description: "0 = No priority, 1 = Urgent, 2 = High, 3 = Medium, 4 = Low",
+            },
+            add_label: {
+              type: "string",
+              description: "Label to add (created if missing)",
+            },
+            assignee: {
+              type: "string",
+              description: "Team member name (or part of it)",
+            },
+            due_date: {
+              type: "string",
+              description: "YYYY-MM-DD, or empty string to clear",
+            },
+          },
+        },
+        preview: {
+          type: "boolean",
+          description: "If true, only list what would match and change. Defaults to true.",
+        },
+      },
+      required: ["filter", "action"],
+    },
+  },
+  {
+    name: "search_issues",
+    description:
+      "Full-text search across ALL Linear issues, including completed and canceled ones. Use for anything not in the active issue list, e.g. 'what did we do on the Resend setup?'.",
+    input_schema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search terms",
+        },
+        limit: {
+          type: "number",
+          description: "Max results (default 10, max 50)",
+        },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "get_issue",
+    description:
+      "Fetch one issue by identifier in any state, with its full description, comments, sub-issues and change history.",
+    input_schema: {
+      type: "object",
+      properties: {
+        issue_identifier: {
+          type: "string",
+          description: "The issue identifier, e.g. 'YAK-300'",
+        },
+      },
+      required: ["issue_identifier"],
+    },
+  },
+  {
+    name: "list_issues",
+    description:
+      "List issues in any state, filtered by project, assignee and/or state. Use for questions like 'what did we finish on EZ Layaway?' or 'what's canceled?'.",
+    input_schema: {
+      type: "object",
+      properties: {
+        project: {
+          type: "string",
+          description: "Project name (or part of it)",
+        },
+        assignee: {
+          type: "string",
+          description: "Team member name (or part of it), or 'me'",
+        },
+        team: {
+          type: "string",
+          description: "Team key or name. Defaults to all configured teams.",
+        },
+        state: {
+          type: "string",
+          description: "Workflow state name, e.g. 'Done'",
+        },
+        state_type: {
+          type: "string",
+          description: "One of: backlog, unstarted, started, completed, canceled",
+        },
+        limit: {
+          type: "number",
+          description: `Max results (default 25, max 100)`,
+        },
+      },
+    },
+  },
+  {
+    name: "create_recurring_issue",
+    description:
+      "Set up a recurring issue — a chore that gets created in Linear on a cadence, e.g. 'send invoices every other Friday'. Not for one-off tasks.",
+    input_schema: {
+      type: "object",
+      properties: {
+        title: {
+          type: "string",
+          description:
+            "Title template. May use {date} (YYYY-MM-DD), {day} ('Oct 19'), {weekday}, {week} (ISO week number), {month} and {year}.",
+        },
+        rrule: {
+          type: "string",
+          description:
+            "RRULE cadence: FREQ=DAILY|WEEKLY|MONTHLY, optional INTERVAL, BYDAY (weekly, e.g. MO,FR) or BYMONTHDAY (monthly, -1 = last day). E.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR'.",
+        },
+        start_date: {
+          type: "string",
+          description: "First possible date, YYYY-MM-DD. Intervals count from here. Defaults to today.",
+        },
+        description: {
+          type: "string",
+          description: "Optional description template, same placeholders as the title",
+        },
+        team: {
+          type: "string",
+          description: "Optional — team key or name. Defaults to the chat's default team.",
+        },
+        project_name: {
+          type: "string",
+          description: "Optional — existing project to put each instance in",
+        },
+        labels: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional — existing label names to put on each instance",
+        },
+        priority: {
+          type: "number",
+          description: "0 = No priority, 1 = Urgent, 2 = High, 3 = Medium, 4 = Low. Defaults to 0.",
+        },
+        due_offset_days: {
+          type: "number",
+          description: "Optional — due date this many days after the instance is created (0 = same day)",
+        },
+        if_previous_open: {
+          type: "string",
+          description:
+            "What to do with the previous instance if it's still open when the next is created: 'none' (default), 'close' (mark it done as superseded) or 'flag' (comment and tell the user).",
+        },
+      },
+      required: ["title", "rrule"],
+    },
+  },
+  {
+    name: "list_recurring_issues",
+    description: "List this chat's recurring issue rules (every chat's for an admin) with their cadence, next date and last instance.",
+    input_schema: { type: "object", properties: {} },
+  },
+  {
+    name: "update_recurring_issue",
+    description:
+      "Change, pause or resume a recurring issue rule. Only the fields given change. Use list_recurring_issues to find the id.",
+    input_schema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The rule id, e.g. '3f9a1c2e'",
+        },
+        paused: {
+          type: "boolean",
+          description: "true to stop creating instances, false to resume",
+        },
+        title: { type: "string", description: "New title template" },
+        rrule: { type: "string", description: "New RRULE cadence" },
+        start_date: { type: "string", description: "New start date, YYYY-MM-DD" },
+        description: { type: "string", description: "New description template, or empty string to clear" },
+        team: { type: "string", description: "New team key or name" },
+        project_name: { type: "string", description: "New project, or empty string to clear" },
+        labels: { type: "array", items: { type: "string" }, description: "Replacement label names" },
+        priority: { type: "number", description: "New priority, 0-4" },
+        due_offset_days: { type: "number", description: "New due-date offset in days, or -1 to clear" },
+        if_previous_open: { type: "string", description: "'none', 'close' or 'flag'" },
+      },
+      required: ["id"],
+    },
+  },
+  {
+    name: "delete_recurring_issue",
+    description: "Delete a recurring issue rule. Issues it already created are left alone.",
+    input_schema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The rule id",
+        },
+      },
+      required: ["id"],
+    },
+  },
+  {
+    name: "create_reminder",
+    description:
+      "Set a reminder that I'll send to this chat at a given time, optionally about an issue (its current status is included when it fires). E.g. 'remind me at 3pm to chase the client on YAK-337'.",
+    input_schema: {
+      type: "object",
+      properties: {
+        text: {
+          type: "string",
+          description: "What to remind them of, e.g. 'Chase the client for assets'",
+        },
+        at: {
+          type: "string",
+          description: "Local date and 24-hour time, 'YYYY-MM-DD HH:MM', in the user's timezone",
+        },
+        in_minutes: {
+          type: "number",
+          description: "Alternative to 'at' — fire this many minutes from now",
+        },
+        issue_identifier: {
+          type: "string",
+          description: "Optional — the issue it's about, e.g. 'YAK-337'",
+        },
+      },
+      required: ["text"],
+    },
+  },
+  {
+    name: "list_reminders",
+    description: "List this chat's pending reminders.",
+    input_schema: { type: "object", properties: {} },
+  },
+  {
+    name: "cancel_reminder",
+    description: "Cancel a pending reminder by id. Use list_reminders to find it.",
+    input_schema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "The reminder id",
+        },
+      },
+      required: ["id"],
+    },
+  },
 ];
 
 // ─── Tool Execution ──────────────────────────────────────────────
 
 /**
  * Execute a tool call and return a result object for Claude.
+ * Every mutation the handler makes is journaled in KV so /undo can revert it.
  *
  * @param {string} toolName
  * @param {object} input - The parsed input from Claude's tool_use block
- * @param {object} ctx   - Shared context: { apiKey, teamId, teamKey, issues, states, labels, projects, members }
+ * @param {object} ctx   - Shared context: { apiKey, kv, chatId, userId, messageId, timezone, reminders, teams, teamId, teamKey, issues, states, labels, projects, members }
+ *                         (teamId/teamKey are the default team; states and labels span every team)
  */
 export async function executeTool(toolName, input, ctx) {
+  const ops = []; // journal ops pushed by the handler as each mutation lands
   try {
-    switch (toolName) {
-      case "update_issue_status":
-        return await handleUpdateStatus(input, ctx);
-      case "update_issue_priority":
-        return await handleUpdatePriority(input, ctx);
-      case "add_comment":
-        return await handleAddComment(input, ctx);
-      case "add_label":
-        return await handleAddLabel(input, ctx);
-      case "create_issue":
-        return await handleCreateIssue(input, ctx);
-      case "create_project":
-        return await handleCreateProject(input, ctx);
-      case "assign_issue":
-        return await handleAssignIssue(input, ctx);
-      case "update_due_date":
-        return await handleUpdateDueDate(input, ctx);
-      default:
-        return { error: `Unknown tool: ${toolName}` };
-    }
+    const result = await runHandler(toolName, input, ctx, ops);
+    await recordEntry(ctx.kv, toolName, ops, journalTags(ctx));
+    return result;
   } catch (err) {
+    // Keep whatever did land (e.g. a parent issue before a subtask failed) undoable
+    await recordEntry(ctx.kv, toolName, ops, journalTags(ctx)).catch(() => {});
     return { error: `Tool "${toolName}" failed: ${err.message}` };
   }
 }
 
+// Whose change it was, for /undo
+function journalTags(ctx) {
+  return { chatId: ctx.chatId, userId: ctx.userId, messageId: ctx.messageId };
+}
+
+function runHandler(toolName, input, ctx, ops) {
+  switch (toolName) {
+    case "update_issue_status":
+      return handleUpdateStatus(input, ctx, ops);
+    case "update_issue_priority":
+      return handleUpdatePriority(input, ctx, ops);
+    case "add_comment":
+      return handleAddComment(input, ctx, ops);
+    case "add_label":
+      return handleAddLabel(input, ctx, ops);
+    case "create_issue":
+      return handleCreateIssue(input, ctx, ops);
+    case "create_project":
+      return handleCreateProject(input, ctx, ops);
+    case "assign_issue":
+      return handleAssignIssue(input, ctx, ops);
+    case "update_due_date":
+      return handleUpdateDueDate(input, ctx, ops);
+    case "bulk_update_issues":
+      return handleBulkUpdate(input, ctx, ops);
+    case "search_issues":
+      return handleSearchIssues(input, ctx);
+    case "get_issue":
+      return handleGetIssue(input, ctx);
+    case "list_issues":
+      return handleListIssues(input, ctx);
+    case "create_recurring_issue":
+      return handleCreateRecurring(input, ctx);
+    case "list_recurring_issues":
+      return handleListRecurring(ctx);
+    case "update_recurring_issue":
+      return handleUpdateRecurring(input, ctx);
+    case "delete_recurring_issue":
+      return handleDeleteRecurring(input, ctx);
+    case "create_reminder":
+      return handleCreateReminder(input, ctx);
+    case "list_reminders":
+      return handleListReminders(ctx);
+    case "cancel_reminder":
+      return handleCancelReminder(input, ctx);
+    default:
+      return { error: `Unknown tool: ${toolName}` };
+  }
+}
+
 // ─── Individual Handlers ─────────────────────────────────────────
 
 function findIssue(identifier, issues) {
@@ -254,19 +617,52 @@ function findIssue(identifier, issues) {
   return issues.find((i) => i.identifier === upper);
 }
 
-async function handleUpdateStatus(input, ctx) {
-  const issue = findIssue(input.issue_identifier, ctx.issues);
-  if (!issue) return { error: `Issue ${input.issue_identifier} not found in active issues.` };
+// Active snapshot first; fall back to Linear for done/canceled or beyond-the-cap issues
+async function resolveIssue(identifier, ctx) {
+  return findIssue(identifier, ctx.issues) || (await fetchIssue(ctx.apiKey, identifier.toUpperCase()));
+}
+
+// The team a create_* call asked for, or the default team
+function resolveTeam(name, ctx) {
+  if (!name) return { id: ctx.teamId, key: ctx.teamKey };
+  return findTeam(name, ctx.teams || []);
+}
+
+function unknownTeam(name, ctx) {
+  return { error: `Team "${name}" not found. Available: ${(ctx.teams || []).map((t) => `${t.name} (${t.key})`).join(", ")}` };
+}
 
-  const state = ctx.states.find(
+// Fuzzy match member name
+function findMember(name, members) {
+  const nameLower = name.toLowerCase();
+  return members.find(
+    (m) =>
+      m.name?.toLowerCase().includes(nameLower) ||
+      m.displayName?.toLowerCase().includes(nameLower)
+  );
+}
+
+async function handleUpdateStatus(input, ctx, ops) {
+  const issue = await resolveIssue(input.issue_identifier, ctx);
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
+
+  const states = statesOfTeam(ctx.states, teamKeyOfIssue(issue));
+  const state = states.find(
     (s) => s.name.toLowerCase() === input.status.toLowerCase()
   );
   if (!state)
     return {
-      error: `State "${input.status}" not found. Available: ${ctx.states.map((s) => s.name).join(", ")}`,
+      error: `State "${input.status}" not found. Available: ${states.map((s) => s.name).join(", ")}`,
     };
 
   const updated = await updateIssue(ctx.apiKey, issue.id, { stateId: state.id });
+  ops.push({
+    kind: "update",
+    issueId: issue.id,
+    identifier: issue.identifier,
+    before: { stateId: issue.state?.id },
+    summary: `${issue.identifier} status ${issue.state?.name} → ${updated.state.name}`,
+  });
   return {
     success: true,
     issue: updated.identifier,
@@ -275,11 +671,18 @@ async function handleUpdateStatus(input, ctx) {
   };
 }
 
-async function handleUpdatePriority(input, ctx) {
-  const issue = findIssue(input.issue_identifier, ctx.issues);
-  if (!issue) return { error: `Issue ${input.issue_identifier} not found in active issues.` };
+async function handleUpdatePriority(input, ctx, ops) {
+  const issue = await resolveIssue(input.issue_identifier, ctx);
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
 
   const updated = await updateIssue(ctx.apiKey, issue.id, { priority: input.priority });
+  ops.push({
+    kind: "update",
+    issueId: issue.id,
+    identifier: issue.identifier,
+    before: { priority: issue.priority ?? 0 },
+    summary: `${issue.identifier} priority ${issue.priorityLabel || "None"} → ${updated.priorityLabel}`,
+  });
   return {
     success: true,
     issue: updated.identifier,
@@ -288,11 +691,19 @@ async function handleUpdatePriority(input, ctx) {
   };
 }
 
-async function handleAddComment(input, ctx) {
-  const issue = findIssue(input.issue_identifier, ctx.issues);
-  if (!issue) return { error: `Issue ${input.issue_identifier} not found in active issues.` };
+async function handleAddComment(input, ctx, ops) {
+  const issue = await resolveIssue(input.issue_identifier, ctx);
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
 
-  const comment = await createComment(ctx.apiKey, issue.id, input.comment);
+  // Everything posts as the API key's owner, so sign comments made for anyone else
+  const body = ctx.author ? `${input.comment}\n\n— ${ctx.author}, via Telegram` : input.comment;
+  const comment = await createComment(ctx.apiKey, issue.id, body);
+  ops.push({
+    kind: "create_comment",
+    commentId: comment.id,
+    identifier: issue.identifier,
+    summary: `comment on ${issue.identifier} ("${comment.body.substring(0, 40)}")`,
+  });
   return {
     success: true,
     issue: issue.identifier,
@@ -300,16 +711,14 @@ async function handleAddComment(input, ctx) {
   };
 }
 
-async function handleAddLabel(input, ctx) {
-  const issue = findIssue(input.issue_identifier, ctx.issues);
-  if (!issue) return { error: `Issue ${input.issue_identifier} not found in active issues.` };
+async function handleAddLabel(input, ctx, ops) {
+  const issue = await resolveIssue(input.issue_identifier, ctx);
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
 
-  // Find existing label (case-insensitive) or create a new one
-  let label = ctx.labels.find(
-    (l) => l.name.toLowerCase() === input.label_name.toLowerCase()
-  );
+  // Find existing label (case-insensitive) or create a new one on the issue's team
+  let label = findLabel(input.label_name, ctx.labels, teamKeyOfIssue(issue));
   if (!label) {
-    label = await createLabel(ctx.apiKey, ctx.teamId, input.label_name);
+    label = await createLabel(ctx.apiKey, issue.team?.id || ctx.teamId, input.label_name);
   }
 
   // Check if already applied
@@ -325,6 +734,13 @@ async function handleAddLabel(input, ctx) {
   const updated = await updateIssue(ctx.apiKey, issue.id, {
     labelIds: [...currentLabelIds, label.id],
   });
+  ops.push({
+    kind: "update",
+    issueId: issue.id,
+    identifier: issue.identifier,
+    before: { labelIds: currentLabelIds },
+    summary: `label "${label.name}" added to ${issue.identifier}`,
+  });
   return {
     success: true,
     issue: updated.identifier,
@@ -332,9 +748,12 @@ async function handleAddLabel(input, ctx) {
   };
 }
 
-async function handleCreateIssue(input, ctx) {
+async function handleCreateIssue(input, ctx, ops) {
+  const team = resolveTeam(input.team, ctx);
+  if (!team) return unknownTeam(input.team, ctx);
+
   const createInput = {
-    teamId: ctx.teamId,
+    teamId: team.id,
     title: input.title,
   };
 
@@ -354,19 +773,26 @@ async function handleCreateIssue(input, ctx) {
     }
   }
 
-  // Match initial workflow state
+  // Match initial workflow state (within the target team)
   if (input.status) {
-    const state = ctx.states.find(
+    const state = statesOfTeam(ctx.states, team.key).find(
       (s) => s.name.toLowerCase() === input.status.toLowerCase()
     );
     if (state) createInput.stateId = state.id;
   }
 
   const parentIssue = await createLinearIssue(ctx.apiKey, createInput);
+  ops.push({
+    kind: "create_issue",
+    issueId: parentIssue.id,
+    identifier: parentIssue.identifier,
+    summary: `created ${parentIssue.identifier} "${parentIssue.title}"`,
+  });
 
   const result = {
     success: true,
     issue: parentIssue.identifier,
+    team: team.key,
     title: parentIssue.title,
     url: parentIssue.url,
     due_date: parentIssue.dueDate || null,
@@ -377,7 +803,7 @@ async function handleCreateIssue(input, ctx) {
     const subtaskResults = [];
     for (const sub of input.subtasks) {
       const subInput = {
-        teamId: ctx.teamId,
+        teamId: team.id,
         title: sub.title,
         parentId: parentIssue.id,
       };
@@ -387,6 +813,12 @@ async function handleCreateIssue(input, ctx) {
       if (projectId) subInput.projectId = projectId;
 
       const subIssue = await createLinearIssue(ctx.apiKey, subInput);
+      ops.push({
+        kind: "create_issue",
+        issueId: subIssue.id,
+        identifier: subIssue.identifier,
+        summary: `created subtask ${subIssue.identifier} "${subIssue.title}"`,
+      });
       subtaskResults.push({
         issue: subIssue.identifier,
         title: subIssue.title,
@@ -399,33 +831,45 @@ async function handleCreateIssue(input, ctx) {
   return result;
 }
 
-async function handleCreateProject(input, ctx) {
+async function handleCreateProject(input, ctx, ops) {
+  const team = resolveTeam(input.team, ctx);
+  if (!team) return unknownTeam(input.team, ctx);
+
   const project = await createLinearProject(
     ctx.apiKey,
     input.name,
-    [ctx.teamId],
+    [team.id],
     input.description
   );
-  return { success: true, project: project.name, id: project.id };
+  ops.push({
+    kind: "create_project",
+    projectId: project.id,
+    name: project.name,
+    summary: `created project "${project.name}"`,
+  });
+  return { success: true, project: project.name, team: team.key, id: project.id };
 }
 
-async function handleAssignIssue(input, ctx) {
-  const issue = findIssue(input.issue_identifier, ctx.issues);
-  if (!issue) return { error: `Issue ${input.issue_identifier} not found in active issues.` };
+async function handleAssignIssue(input, ctx, ops) {
+  const issue = await resolveIssue(input.issue_identifier, ctx);
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
 
-  // Fuzzy match member name
-  const nameLower = input.assignee_name.toLowerCase();
-  const member = ctx.members.find(
-    (m) =>
-      m.name?.toLowerCase().includes(nameLower) ||
-      m.displayName?.toLowerCase().includes(nameLower)
-  );
+  const isMe = input.assignee_name.toLowerCase() === "me";
+  if (isMe && !ctx.viewer) return { error: NOT_LINKED };
+  const member = isMe ? ctx.viewer : findMember(input.assignee_name, ctx.members);
   if (!member)
     return {
       error: `Team member "${input.assignee_name}" not found. Available: ${ctx.members.map((m) => m.name).join(", ")}`,
     };
 
   const updated = await updateIssue(ctx.apiKey, issue.id, { assigneeId: member.id });
+  ops.push({
+    kind: "update",
+    issueId: issue.id,
+    identifier: issue.identifier,
+    before: { assigneeId: issue.assignee?.id ?? null },
+    summary: `${issue.identifier} assignee ${issue.assignee?.name || "Unassigned"} → ${updated.assignee?.name}`,
+  });
   return {
     success: true,
     issue: updated.identifier,
@@ -434,14 +878,21 @@ async function handleAssignIssue(input, ctx) {
   };
 }
 
-async function handleUpdateDueDate(input, ctx) {
-  const issue = findIssue(input.issue_identifier, ctx.issues);
-  if (!issue) return { error: `Issue ${input.issue_identifier} not found in active issues.` };
+async function handleUpdateDueDate(input, ctx, ops) {
+  const issue = await resolveIssue(input.issue_identifier, ctx);
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
 
   // Allow clearing the due date by passing null/empty
   const dueDate = input.due_date && input.due_date.trim() !== "" ? input.due_date : null;
 
   const updated = await updateIssue(ctx.apiKey, issue.id, { dueDate });
+  ops.push({
+    kind: "update",
+    issueId: issue.id,
+    identifier: issue.identifier,
+    before: { dueDate: issue.dueDate ?? null },
+    summary: `${issue.identifier} due date ${issue.dueDate || "none"} → ${updated.dueDate || "none"}`,
+  });
   return {
     success: true,
     issue: updated.identifier,
@@ -449,3 +900,427 @@ async function handleUpdateDueDate(input, ctx) {
     due_date: updated.dueDate || "cleared",
   };
 }
+
+// ─── Read-only Lookups ───────────────────────────────────────────
+
+function summarizeIssue(issue) {
+  const summary = {
+    issue: issue.identifier,
+    title: issue.title,
+    team: issue.team?.key,
+    status: issue.state?.name,
+    priority: issue.priorityLabel,
+    assignee: issue.assignee?.name || "Unassigned",
+    project: issue.project?.name || null,
+    due_date: issue.dueDate || null,
+    url: issue.url,
+  };
+  if (issue.completedAt) summary.completed_at = issue.completedAt;
+  if (issue.canceledAt) summary.canceled_at = issue.canceledAt;
+  return summary;
+}
+
+async function handleSearchIssues(input, ctx) {
+  const limit = Math.min(input.limit || 10, 50);
+  const results = await searchIssues(ctx.apiKey, input.query, limit);
+  return { count: results.length, issues: results.map(summarizeIssue) };
+}
+
+async function handleGetIssue(input, ctx) {
+  const issue = await fetchIssue(ctx.apiKey, input.issue_identifier.toUpperCase(), {
+    details: true,
+  });
+  if (!issue) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
+
+  return {
+    ...summarizeIssue(issue),
+    description: (issue.description || "").substring(0, 2000),
+    labels: issue.labels.nodes.map((l) => l.name),
+    created_at: issue.createdAt,
+    parent: issue.parent ? `${issue.parent.identifier} ${issue.parent.title}` : null,
+    sub_issues: issue.children.nodes.map(
+      (c) => `${c.identifier} ${c.title} (${c.state?.name})`
+    ),
+    comments: issue.comments.nodes.map((c) => ({
+      by: c.user?.name || "Unknown",
+      at: c.createdAt,
+      body: c.body.substring(0, 500),
+    })),
+    history: issue.history.nodes.map(describeHistory).filter(Boolean),
+  };
+}
+
+function describeHistory(h) {
+  const changes = [];
+  if (h.toState) changes.push(`status ${h.fromState?.name || "?"} → ${h.toState.name}`);
+  if (h.toAssignee || h.fromAssignee)
+    changes.push(`assignee ${h.fromAssignee?.name || "none"} → ${h.toAssignee?.name || "none"}`);
+  if (h.toPriority !== null && h.toPriority !== undefined)
+    changes.push(`priority ${h.fromPriority ?? "?"} → ${h.toPriority}`);
+  if (h.toDueDate || h.fromDueDate)
+    changes.push(`due ${h.fromDueDate || "none"} → ${h.toDueDate || "none"}`);
+  if (changes.length === 0) return null;
+  return `${h.createdAt.split("T")[0]} ${h.actor?.name || "Linear"}: ${changes.join(", ")}`;
+}
+
+async function handleListIssues(input, ctx) {
+  const teamKeys = (ctx.teams || []).map((t) => t.key);
+  let filter = { team: { key: { in: teamKeys.length ? teamKeys : [ctx.teamKey] } } };
+  if (input.team) {
+    const team = findTeam(input.team, ctx.teams || []);
+    if (!team) return unknownTeam(input.team, ctx);
+    filter = { team: { key: { eq: team.key } } };
+  }
+  if (input.project) filter.project = { name: { containsIgnoreCase: input.project } };
+  if (input.assignee) {
+    const isMe = input.assignee.toLowerCase() === "me";
+    if (isMe && !ctx.viewer) return { error: NOT_LINKED };
+    filter.assignee = isMe
+      ? { id: { eq: ctx.viewer.id } }
+      : { name: { containsIgnoreCase: input.assignee } };
+  }
+  if (input.state) filter.state = { name: { eqIgnoreCase: input.state } };
+  if (input.state_type) {
+    filter.state = { ...filter.state, type: { eq: input.state_type } };
+  }
+
+  const limit = Math.min(input.limit || DEFAULT_LIST_LIMIT, 100);
+  const issues = await fetchIssues(ctx.apiKey, filter, { maxItems: limit });
+  return {
+    count: issues.length,
+    more_available: issues.truncated,
+    issues: issues.map(summarizeIssue),
+  };
+}
+
+// ─── Recurring Issues ────────────────────────────────────────────
+//
+// Rules live in KV (recurring.js), not Linear, so there's nothing to
+// journal; the instances they create are made by the cron run.
+
+async function handleCreateRecurring(input, ctx) {
+  const fields = resolveRecurringFields(input, ctx, null);
+  if (fields.error) return fields;
+
+  const { rule, error } = prepareRule(
+    { ...fields, timezone: ctx.timezone, chatId: ctx.chatId, userId: ctx.userId, paused: false },
+    localDate(new Date(), ctx.timezone)
+  );
+  if (error) return { error };
+  const stored = await addRule(ctx.kv, rule);
+  return { success: true, rule: describeRule(stored) };
+}
+
+async function handleListRecurring(ctx) {
+  const rules = rulesFor(await listRules(ctx.kv), ctx.chatId, ctx.user);
+  return { count: rules.length, rules: rules.map(describeRule) };
+}
+
+async function handleUpdateRecurring(input, ctx) {
+  const existing = findRule(rulesFor(await listRules(ctx.kv), ctx.chatId, ctx.user), input.id);
+  if (!existing) return { error: `No recurring issue with id "${input.id}".` };
+
+  const fields = resolveRecurringFields(input, ctx, existing);
+  if (fields.error) return fields;
+  if (input.paused !== undefined) fields.paused = input.paused;
+
+  const { rule, error } = prepareRule(
+    { ...existing, ...fields },
+    localDate(new Date(), existing.timezone)
+  );
+  if (error) return { error };
+  const updated = await updateRule(ctx.kv, existing.id, rule);
+  return { success: true, rule: describeRule(updated) };
+}
+
+async function handleDeleteRecurring(input, ctx) {
+  const found = findRule(rulesFor(await listRules(ctx.kv), ctx.chatId, ctx.user), input.id);
+  const rule = found && (await deleteRule(ctx.kv, found.id));
+  if (!rule) return { error: `No recurring issue with id "${input.id}".` };
+  return { success: true, deleted: rule.id, title: rule.title };
+}
+
+// Tool input → rule fields, with team, project and labels checked against
+// Linear and stored by their canonical names. When updating `existing`,
+// only fields present in `input` are returned, so the rest stay as they are.
+function resolveRecurringFields(input, ctx, existing) {
+  const fields = {};
+  if (input.title !== undefined) fields.title = input.title;
+  if (input.rrule !== undefined) fields.rrule = input.rrule;
+  if (input.start_date !== undefined) fields.startDate = input.start_date;
+  if (input.description !== undefined) fields.description = input.description || null;
+  if (input.priority !== undefined) fields.priority = input.priority;
+  if (input.if_previous_open !== undefined) fields.previousOpen = input.if_previous_open;
+  if (input.due_offset_days !== undefined) {
+    fields.dueOffsetDays = input.due_offset_days < 0 ? null : input.due_offset_days;
+  }
+
+  if (input.team !== undefined || !existing) {
+    const team = resolveTeam(input.team, ctx);
+    if (!team) return unknownTeam(input.team, ctx);
+    fields.team = team.key;
+  }
+
+  if (input.project_name) {
+    const project = ctx.projects.find((p) =>
+      p.name.toLowerCase().includes(input.project_name.toLowerCase())
+    );
+    if (!project) return { error: `Project "${input.project_name}" not found.` };
+    fields.project = project.name;
+  } else if (input.project_name !== undefined) {
+    fields.project = null;
+  }
+
+  if (input.labels !== undefined) {
+    const teamKey = fields.team || existing.team;
+    fields.labels = [];
+    for (const name of input.labels) {
+      const label = findLabel(name, ctx.labels, teamKey);
+      if (!label) return { error: `Label "${name}" not found — create it first (add_label creates missing labels).` };
+      fields.labels.push(label.name);
+    }
+  }
+
+  return fields;
+}
+
+// ─── Reminders ───────────────────────────────────────────────────
+//
+// Kept in the chat's session storage (ctx.reminders, see reminders.js);
+// nothing changes in Linear, so nothing is journaled.
+
+async function handleCreateReminder(input, ctx) {
+  if (!ctx.reminders) return { error: "Reminders can only be set from a conversation." };
+  const timezone = ctx.timezone || DEFAULT_TIMEZONE;
+  const { at, error } = parseWhen(input, new Date(), timezone);
+  if (error) return { error };
+
+  let issue = null;
+  if (input.issue_identifier) {
+    const found = await resolveIssue(input.issue_identifier, ctx);
+    if (!found) return { error: `Issue ${input.issue_identifier} not found in Linear.` };
+    issue = found.identifier;
+  }
+
+  const reminder = await ctx.reminders.add({
+    text: input.text,
+    at: at.toISOString(),
+    issue,
+    chatId: ctx.chatId,
+    userId: ctx.user?.id || null,
+    timezone,
+  });
+  return { success: true, reminder: describeReminder(reminder) };
+}
+
+async function handleListReminders(ctx) {
+  if (!ctx.reminders) return { error: "Reminders can only be listed from a conversation." };
+  const reminders = await ctx.reminders.list();
+  return { count: reminders.length, reminders: reminders.map(describeReminder) };
+}
+
+async function handleCancelReminder(input, ctx) {
+  if (!ctx.reminders) return { error: "Reminders can only be canceled from a conversation." };
+  const reminder = await ctx.reminders.cancel(input.id);
+  if (!reminder) return { error: `No pending reminder with id "${input.id}".` };
+  return { success: true, canceled: describeReminder(reminder) };
+}
+
+// ─── Bulk Triage ─────────────────────────────────────────────────
+
+/**
+ * Return the active issues matching a bulk_update_issues filter.
+ * An empty filter matches nothing — bulk edits must be asked for explicitly.
+ */
+export function matchIssues(filter = {}, issues) {
+  const checks = [];
+
+  if (filter.identifiers?.length) {
+    const wanted = expandIdentifiers(filter.identifiers);
+    checks.push((i) => wanted.has(i.identifier));
+  }
+  if (filter.project) {
+    const project = filter.project.toLowerCase();
+    checks.push((i) => i.project?.name?.toLowerCase().includes(project));
+  }
+  if (filter.label) {
+    const label = filter.label.toLowerCase();
+    checks.push((i) => i.labels?.nodes?.some((l) => l.name.toLowerCase() === label));
+  }
+  if (filter.title_pattern) {
+    let pattern;
+    try {
+      pattern = new RegExp(filter.title_pattern, "i");
+    } catch {
+      const text = filter.title_pattern.toLowerCase();
+      pattern = { test: (title) => title.toLowerCase().includes(text) };
+    }
+    checks.push((i) => pattern.test(i.title));
+  }
+  if (filter.due_before) {
+    checks.push((i) => i.dueDate && i.dueDate < filter.due_before);
+  }
+  if (filter.state) {
+    const state = filter.state.toLowerCase();
+    checks.push((i) => i.state?.name?.toLowerCase() === state);
+  }
+  if (filter.team) {
+    const team = filter.team.toUpperCase();
+    checks.push((i) => teamKeyOfIssue(i) === team);
+  }
+
+  if (checks.length === 0) return [];
+  return issues.filter((i) => checks.every((check) => check(i)));
+}
+
+// "YAK-388..YAK-419" or "YAK-388..419" → every identifier in between
+function expandIdentifiers(entries) {
+  const ids = new Set();
+  for (const entry of entries) {
+    const range = entry
+      .trim()
+      .match(/^([A-Z]+)-(\d+)\s*(?:\.\.|to|–|—)\s*(?:[A-Z]+-)?(\d+)$/i);
+    if (!range) {
+      ids.add(entry.trim().toUpperCase());
+      continue;
+    }
+    const prefix = range[1].toUpperCase();
+    const [from, to] = [Number(range[2]), Number(range[3])].sort((a, b) => a - b);
+    for (let n = from; n <= to && n - from < MAX_BULK_ISSUES; n++) {
+      ids.add(`${prefix}-${n}`);
+    }
+  }
+  return ids;
+}
+
+async function handleBulkUpdate(input, ctx, ops) {
+  const matched = matchIssues(input.filter, ctx.issues);
+  if (matched.length === 0) {
+    return { error: "No active issues matched that filter (an empty filter matches nothing)." };
+  }
+  if (matched.length > MAX_BULK_ISSUES) {
+    return { error: `Filter matched ${matched.length} issues — narrow it to ${MAX_BULK_ISSUES} or fewer.` };
+  }
+
+  // Resolve the action into one IssueUpdateInput shared by every batch.
+  // States (and team labels) differ per team, so those are resolved per team.
+  const action = input.action || {};
+  const teamKeys = [...new Set(matched.map(teamKeyOfIssue))];
+  const updateInput = {};
+  const perTeam = Object.fromEntries(teamKeys.map((key) => [key, {}]));
+  const changes = [];
+
+  if (action.status) {
+    for (const key of teamKeys) {
+      const states = statesOfTeam(ctx.states, key);
+      const state = states.find((s) => s.name.toLowerCase() === action.status.toLowerCase());
+      if (!state)
+        return {
+          error: `State "${action.status}" not found${teamKeys.length > 1 ? ` in team ${key}` : ""}. Available: ${states.map((s) => s.name).join(", ")}`,
+        };
+      perTeam[key].stateId = state.id;
+    }
+    changes.push(`status → ${action.status}`);
+  }
+  if (action.priority !== undefined) {
+    updateInput.priority = action.priority;
+    changes.push(`priority → ${action.priority}`);
+  }
+  if (action.assignee) {
+    const member = findMember(action.assignee, ctx.members);
+    if (!member)
+      return {
+        error: `Team member "${action.assignee}" not found. Available: ${ctx.members.map((m) => m.name).join(", ")}`,
+      };
+    updateInput.assigneeId = member.id;
+    changes.push(`assignee → ${member.name}`);
+  }
+  if (action.due_date !== undefined) {
+    updateInput.dueDate = action.due_date && action.due_date.trim() !== "" ? action.due_date : null;
+    changes.push(`due date → ${updateInput.dueDate || "cleared"}`);
+  }
+  if (action.add_label) {
+    const existing = findLabel(action.add_label, ctx.labels, teamKeys[0]);
+    changes.push(`add label "${existing?.name || action.add_label}"`);
+  }
+
+  if (changes.length === 0) return { error: "No action given — nothing to change." };
+
+  if (input.preview !== false) {
+    return {
+      preview: true,
+      matched: matched.length,
+      changes,
+      issues: matched.map((i) => ({
+        issue: i.identifier,
+        title: i.title,
+        status: i.state?.name,
+      })),
+    };
+  }
+
+  if (action.add_label) {
+    for (const key of teamKeys) {
+      let label = findLabel(action.add_label, ctx.labels, key);
+      if (!label) {
+        const teamId = matched.find((i) => teamKeyOfIssue(i) === key).team?.id || ctx.teamId;
+        label = await createLabel(ctx.apiKey, teamId, action.add_label);
+      }
+      perTeam[key].addedLabelIds = [label.id];
+    }
+  }
+
+  // Apply in batches, one team at a time; a failed batch is reported per
+  // issue and the rest carry on
+  const results = [];
+  for (const key of teamKeys) {
+    const teamInput = { ...updateInput, ...perTeam[key] };
+    const issues = matched.filter((i) => teamKeyOfIssue(i) === key);
+    for (let start = 0; start < issues.length; start += BATCH_SIZE) {
+      const batch = issues.slice(start, start + BATCH_SIZE);
+      let updated = [];
+      let batchError;
+      try {
+        updated = await batchUpdateIssues(ctx.apiKey, batch.map((i) => i.id), teamInput);
+      } catch (err) {
+        batchError = err.message;
+      }
+
+      for (const issue of batch) {
+        const after = updated.find((u) => u.id === issue.id);
+        if (!after) {
+          results.push({ issue: issue.identifier, ok: false, error: batchError || "not updated" });
+          continue;
+        }
+        ops.push({
+          kind: "update",
+          issueId: issue.id,
+          identifier: issue.identifier,
+          before: bulkBefore(issue, teamInput),
+          summary: `${issue.identifier} bulk update (${changes.join(", ")})`,
+        });
+        results.push({ issue: issue.identifier, ok: true, status: after.state?.name });
+      }
+    }
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  return {
+    success: failed === 0,
+    updated: results.length - failed,
+    failed,
+    changes,
+    results,
+  };
+}
+
+// Previous values of just the fields a bulk update touched, for the undo journal
+function bulkBefore(issue, updateInput) {
+  const before = {};
+  if ("stateId" in updateInput) before.stateId = issue.state?.id;
+  if ("priority" in updateInput) before.priority = issue.priority ?? 0;
+  if ("assigneeId" in updateInput) before.assigneeId = issue.assignee?.id ?? null;
+  if ("dueDate" in updateInput) before.dueDate = issue.dueDate ?? null;
+  if ("addedLabelIds" in updateInput) before.labelIds = issue.labels?.nodes?.map((l) => l.id) || [];
+  return before;
+}
@@ -0,0 +1,60 @@
+// ─── Webhook Idempotency ──────────────────────────────────────────
+//
+// Telegram redelivers an update whenever it doesn't get a timely 200, and
+// sends `edited_message` when you fix a typo. Without bookkeeping either
+// one would rerun the agent and double-apply its changes. KV keys, both
+// expiring after RECORD_TTL_SECONDS:
+//
+//   telegram_update:<update_id>            — "already seen" marker
+//   telegram_message:<chatId>:<messageId>  — { text, at } of the last
+//                                            version we acted on
+//
+// Edits mean "amend my previous request": the journal entries tagged
+// with that message are undone, then the edited text runs in their place.
+// KV isn't transactional, so this is best-effort — it closes the retry
+// window, not a simultaneous double-delivery.
+//
+// ───────────────────────────────────────────────────────────────────
+
+const RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Mark an update as seen. Returns false if it was already processed.
+ */
+export async function claimUpdate(kv, updateId) {
+  if (updateId === undefined) return true;
+  const key = `telegram_update:${updateId}`;
+  if (await kv.get(key)) return false;
+  await kv.put(key, "1", { expirationTtl: RECORD_TTL_SECONDS });
+  return true;
+}
+
+/**
+ * The version of a message we last acted on, or null if we never saw it
+ * (or it's older than the TTL).
+ */
+export async function getMessageRecord(kv, chatId, messageId) {
+  try {
+    return await kv.get(messageKey(chatId, messageId), "json");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the text we're acting on for a message, so a later edit can be
+ * recognised (and compared).
+ */
+export async function recordMessage(kv, chatId, messageId, text) {
+  await kv.put(
+    messageKey(chatId, messageId),
+    JSON.stringify({ text, at: new Date().toISOString() }),
+    { expirationTtl: RECORD_TTL_SECONDS }
+  );
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+function messageKey(chatId, messageId) {
+  return `telegram_message:${chatId}:${messageId}`;
+}
@@ -0,0 +1,112 @@
+// ─── Users & Access ───────────────────────────────────────────────
+//
+// Who may talk to the bot, and who they are in Linear. The allowlist is
+// one KV record, `telegram_users`, keyed by Telegram user id:
+//
+//   { [userId]: { name, admin, linearUserId, linearName, addedAt } }
+//
+// TELEGRAM_CHAT_ID is always on it as an admin — it's the owner's private
+// chat, whose id is their user id — so an existing single-user deployment
+// keeps working with nothing stored. Admins manage the list with /allow,
+// /revoke and /users; anyone can /link themselves to a Linear member.
+//
+// Each user's briefing goes to their private chat (chat id = user id).
+//
+// ───────────────────────────────────────────────────────────────────
+
+const USERS_KEY = "telegram_users";
+
+/**
+ * Everyone on the allowlist, owner included, as { [userId]: user }.
+ */
+export async function getUsers(env) {
+  let stored = null;
+  try {
+    stored = await env.KV.get(USERS_KEY, "json");
+  } catch {
+    stored = null;
+  }
+  const users = { ...(stored || {}) };
+  const ownerId = String(env.TELEGRAM_CHAT_ID);
+  users[ownerId] = { name: null, ...users[ownerId], admin: true, owner: true };
+  return users;
+}
+
+/**
+ * One user with their id, or null if they're not on the allowlist.
+ */
+export async function getUser(env, userId) {
+  const users = await getUsers(env);
+  const user = users[String(userId)];
+  return user ? { id: String(userId), ...user } : null;
+}
+
+/**
+ * Add or update a user. `fields` is merged into their existing record.
+ */
+export async function saveUser(env, userId, fields) {
+  const users = await getUsers(env);
+  const id = String(userId);
+  users[id] = { addedAt: new Date().toISOString(), ...users[id], ...fields };
+  await putUsers(env.KV, users);
+  return { id, ...users[id] };
+}
+
+/**
+ * Remove a user. The owner can't be removed. Returns the removed record or null.
+ */
+export async function removeUser(env, userId) {
+  const users = await getUsers(env);
+  const id = String(userId);
+  const user = users[id];
+  if (!user || user.owner) return null;
+  delete users[id];
+  await putUsers(env.KV, users);
+  return user;
+}
+
+/**
+ * The Linear member whose name or display name matches `name`, exact
+ * matches first. Returns null if nothing (or more than one) matches.
+ */
+export function matchMember(name, members) {
+  const wanted = name.trim().toLowerCase();
+  if (!wanted) return null;
+  const exact = members.filter(
+    (m) => m.name?.toLowerCase() === wanted || m.displayName?.toLowerCase() === wanted
+  );
+  if (exact.length === 1) return exact[0];
+  const partial = members.filter(
+    (m) => m.name?.toLowerCase().includes(wanted) || m.displayName?.toLowerCase().includes(wanted)
+  );
+  return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Who a user is in Linear: their linked member, or for an unlinked owner
+ * the API key's own account (`keyOwner`). Null if they haven't linked yet.
+ */
+export function linearIdentity(user, keyOwner) {
+  if (user?.linearUserId) return { id: user.linearUserId, name: user.linearName };
+  if (user?.owner) return keyOwner;
+  return null;
+}
+
+export function describeUser(user) {
+  const linear = user.linearName
+    ? `Linear: ${user.linearName}`
+    : user.owner
+      ? "Linear: the API key's account"
+      : "not linked to Linear";
+  return `${user.id} — ${user.name || "owner"}${user.admin ? " (admin)" : ""}, ${linear}`;
+}
+
+// ─── Internals ────────────────────────────────────────────────────
+
+// Owner status comes from env on every read, so it's never stored
+function putUsers(kv, users) {
+  const stored = Object.fromEntries(
+    Object.entries(users).map(([id, { owner, ...user }]) => [id, owner ? { ...user, admin: undefined } : user])
+  );
+  return kv.put(USERS_KEY, JSON.stringify(stored));
+}
@@ -0,0 +1,104 @@
+// ─── Weekly Review (cron-triggered, sent via Telegram) ───────────
+
+import { sendMessage } from "./telegram.js";
+import { requestJson } from "./http.js";
+import { timezoneOf } from "./time.js";
+import { getSettings } from "./settings.js";
+import { teamKeysOf } from "./teams.js";
+import { renderTelegramHtml } from "./report.js";
+import {
+  REVIEW_TOOL,
+  reviewWeek,
+  fetchWeekActivity,
+  computeReviewStats,
+  buildReviewPrompt,
+  normalizeReview,
+  buildReviewDoc,
+} from "./review.js";
+
+// Per chat: `weekly_review:<chatId>` (the latest, for week-over-week) and
+// `weekly_review:<chatId>:<date>` (kept), each { date, stats, review, doc }
+const REVIEW_KEY = "weekly_review";
+const ANTHROPIC_TIMEOUT_MS = 60000; // per attempt
+const ANTHROPIC_RETRIES = 2;
+
+/**
+ * Generate + send the weekly review (see review.js) for the week ending
+ * today. Called by the scheduled handler on the chat's review day, and by
+ * /review now. If Claude fails, the numbers go out without the
+ * retrospective. The raw stats are stored in KV next to the document.
+ */
+export async function handleWeeklyReview(
+  env,
+  { chatId = env.TELEGRAM_CHAT_ID, timezone = timezoneOf(env) } = {}
+) {
+  const now = new Date();
+  const week = reviewWeek(now, timezone);
+  const settings = await getSettings(env, chatId);
+  const latestKey = `${REVIEW_KEY}:${chatId}`;
+
+  console.log(`[Review] Running for chat ${chatId}, ${week.start} to ${week.end}...`);
+
+  let activity;
+  try {
+    activity = await fetchWeekActivity(env.LINEAR_API_KEY, teamKeysOf(env), week, {
+      maxItems: Number(env.LINEAR_MAX_ITEMS) || undefined,
+    });
+  } catch (err) {
+    console.error("[Review] Failed to fetch Linear issues:", err.message);
+    await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, `Weekly review failed — couldn't reach Linear: ${err.message}`);
+    return;
+  }
+
+  const stats = computeReviewStats(activity, week);
+  const last = await env.KV.get(latestKey, "json").catch(() => null);
+  // Only compare against an earlier week, not a re-run of this one
+  const previous = last && last.date < week.end ? last.stats : null;
+
+  let review = null;
+  try {
+    review = await generateReview(env, { stats, activity, settings, previous, now, timezone });
+  } catch (err) {
+    console.error("[Review] Anthropic call failed, sending the numbers only:", err.message);
+  }
+
+  const doc = buildReviewDoc(stats, review, { activity, previous });
+  const record = JSON.stringify({ date: week.end, stats, review, doc });
+  await env.KV.put(latestKey, record);
+  await env.KV.put(`${latestKey}:${week.end}`, record);
+
+  await sendMessage(env.TELEGRAM_BOT_TOKEN, chatId, renderTelegramHtml(doc), { parseMode: "HTML" });
+  console.log("[Review] Sent.");
+}
+
+async function generateReview(env, { stats, activity, settings, previous, now, timezone }) {
+  const prompt = buildReviewPrompt({ stats, activity, settings, previous, now, timezone });
+
+  const data = await requestJson(
+    "https://api.anthropic.com/v1/messages",
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01",
+      },
+      body: JSON.stringify({
+        model: env.ANTHROPIC_MODEL || "claude-opus-4-6",
+        max_tokens: 1024,
+        tools: [REVIEW_TOOL],
+        tool_choice: { type: "tool", name: REVIEW_TOOL.name },
+        messages: [{ role: "user", content: prompt }],
+      }),
+    },
+    {
+      label: "Anthropic API",
+      timeoutMs: Number(env.ANTHROPIC_TIMEOUT_MS) || ANTHROPIC_TIMEOUT_MS,
+      retries: ANTHROPIC_RETRIES,
+    }
+  );
+
+  const submitted = data.content.find((b) => b.type === "tool_use");
+  if (!submitted) throw new Error("Anthropic response had no submit_review call");
+  return normalizeReview(submitted.input);
+}